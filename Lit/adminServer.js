@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Embedded HTTP server exposing the listener's health and an admin API.
+ * It is only started when ADMIN_PORT is set. Every endpoint other than the probes and
+ * /metrics requires the ADMIN_TOKEN bearer token and is refused while none is configured,
+ * since the ledger entries they return hold prompt payloads and responses.
+ *
+ * Endpoints:
+ *   GET  /healthz                       RPC, Lit connection and session status (503 when unhealthy)
+ *   GET  /readyz                        200 once every network has been started; networks that
+ *                                       failed to start are reported by /healthz
+ *   GET  /metrics                       Prometheus metrics
+ *   GET  /prompts[?state=queued|running|failed]
+ *                                       Queued, in-flight and failed work items
+ *   GET  /prompts/:promptId[?network=]  Ledger entries and queue status for a prompt
+ *   POST /prompts/:promptId/replay[?network=]
+ *                                       Queue a prompt again
+ *   POST /work/:key/replay              Queue any work item again by its ledger key, e.g.
+ *                                       /work/scroll-sepolia:kbQuery:7/replay
+ *   POST /admin/pause                   Stop starting queued work
+ *   POST /admin/resume                  Start queued work again
+ *   POST /admin/session/renew           Renew the Lit session signatures now
+ * @requires http
+ */
+
+const http = require('http');
+const { logger } = require('./logger');
+
+/** @type {string} Interface the admin server binds to */
+const ADMIN_HOST = process.env.ADMIN_HOST || "127.0.0.1";
+
+/**
+ * Error carrying the HTTP status to answer with
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message returned to the client
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    /** @type {number} */
+    this.status = status;
+  }
+}
+
+/**
+ * @typedef {Object} AdminHandlers
+ * @property {function(): Promise<{healthy: boolean}>} health - Health report
+ * @property {function(): boolean} ready - Whether the listener is ready
+ * @property {function(string=): Object} listPrompts - Work items, optionally limited to one state
+ * @property {function(string, string=): Object} getPrompt - Details of a prompt by ID and optional network name
+ * @property {function(string, string=): Promise<Object>} replayPrompt - Queues a prompt again
+ * @property {function(string): Promise<Object>} replayWork - Queues a work item again by its ledger key
+ * @property {function(): Object} pause - Stops starting queued work
+ * @property {function(): Object} resume - Starts queued work again
+ * @property {function(): Promise<Object>} renewSessions - Renews the Lit session signatures
+ * @property {function(): string} metrics - Metrics in the Prometheus text exposition format
+ */
+
+/**
+ * Writes a JSON response
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Writes a plain text response
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status code
+ * @param {string} body - Response body
+ */
+function sendText(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+  res.end(body);
+}
+
+/**
+ * Checks the request's bearer token
+ * @param {http.IncomingMessage} req - The request
+ * @param {string|undefined} token - The configured admin token
+ * @throws {HttpError} When the request is not authorized
+ */
+function authorize(req, token) {
+  if (!token) {
+    throw new HttpError(403, "Admin endpoints are disabled until ADMIN_TOKEN is set");
+  }
+  if (req.headers.authorization !== `Bearer ${token}`) {
+    throw new HttpError(401, "Missing or invalid bearer token");
+  }
+}
+
+/**
+ * Routes a request to the matching handler
+ * @param {http.IncomingMessage} req - The request
+ * @param {AdminHandlers} handlers - Listener callbacks
+ * @param {string|undefined} token - The configured admin token
+ * @returns {Promise<{status: number, body: Object|string}>} The response to send; string bodies are sent as text
+ * @throws {HttpError} When no route matches or the handler rejects the request
+ */
+async function route(req, handlers, token) {
+  const url = new URL(req.url, "http://localhost");
+  const parts = url.pathname.split('/').filter(Boolean);
+  const network = url.searchParams.get('network') || undefined;
+
+  if (req.method === 'GET' && url.pathname === '/healthz') {
+    const report = await handlers.health();
+    return { status: report.healthy ? 200 : 503, body: report };
+  }
+  if (req.method === 'GET' && url.pathname === '/readyz') {
+    const ready = handlers.ready();
+    return { status: ready ? 200 : 503, body: { ready } };
+  }
+  if (req.method === 'GET' && url.pathname === '/metrics') {
+    return { status: 200, body: handlers.metrics() };
+  }
+
+  authorize(req, token);
+  if (req.method === 'GET') {
+    if (parts.length === 1 && parts[0] === 'prompts') {
+      return { status: 200, body: handlers.listPrompts(url.searchParams.get('state') || undefined) };
+    }
+    if (parts.length === 2 && parts[0] === 'prompts') {
+      return { status: 200, body: handlers.getPrompt(parts[1], network) };
+    }
+  }
+
+  if (req.method === 'POST') {
+    if (parts.length === 3 && parts[0] === 'prompts' && parts[2] === 'replay') {
+      return { status: 202, body: await handlers.replayPrompt(parts[1], network) };
+    }
+    if (parts.length === 3 && parts[0] === 'work' && parts[2] === 'replay') {
+      return { status: 202, body: await handlers.replayWork(decodeURIComponent(parts[1])) };
+    }
+    if (url.pathname === '/admin/pause') {
+      return { status: 200, body: handlers.pause() };
+    }
+    if (url.pathname === '/admin/resume') {
+      return { status: 200, body: handlers.resume() };
+    }
+    if (url.pathname === '/admin/session/renew') {
+      return { status: 200, body: await handlers.renewSessions() };
+    }
+  }
+
+  throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+}
+
+/**
+ * Starts the admin server
+ * @param {AdminHandlers} handlers - Listener callbacks
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on
+ * @param {string} [options.token] - Bearer token guarding the admin endpoints
+ * @returns {http.Server} The listening server
+ */
+function startAdminServer(handlers, { port = parseInt(process.env.ADMIN_PORT, 10), token = process.env.ADMIN_TOKEN } = {}) {
+  const server = http.createServer((req, res) => {
+    route(req, handlers, token)
+      .then(({ status, body }) => (typeof body === 'string' ? sendText : sendJson)(res, status, body))
+      .catch((error) => {
+        const status = error instanceof HttpError ? error.status : 500;
+        if (status === 500) {
+          logger.error("Admin request failed", { method: req.method, path: req.url, error });
+        }
+        sendJson(res, status, { error: error.message || String(error) });
+      });
+  });
+
+  server.listen(port, ADMIN_HOST, () => {
+    logger.info("Admin server listening", { url: `http://${ADMIN_HOST}:${port}` });
+  });
+  return server;
+}
+
+module.exports = {
+  HttpError,
+  startAdminServer
+};
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Persistent block cursor recording how far the listener has processed
+ * PromptAdded events, so events emitted while the process was down can be backfilled.
+ * @requires fs
+ * @requires path
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+/**
+ * Builds the location of a network's cursor file
+ * @param {string} network - Name of the network profile
+ * @returns {string} Path of the cursor file
+ */
+function cursorFileFor(network) {
+  return path.join(process.env.CURSOR_DIR || __dirname, `.listener-cursor.${network}.json`);
+}
+
+/**
+ * Tracks the highest block below which every dispatched event has been handled.
+ * Events can finish out of order, so the cursor only advances past a block once
+ * no earlier block still has work in progress.
+ */
+class BlockCursor {
+  /**
+   * @param {string} file - Path of the JSON file the cursor is persisted to
+   */
+  constructor(file) {
+    /** @type {string} */
+    this.file = file;
+    /** @type {number|null} Last block whose events have all been processed */
+    this.value = this.load();
+    /** @type {Map<number, number>} Number of in-progress events per block */
+    this.pending = new Map();
+    /** @type {number|null} Highest block seen completing */
+    this.highestCompleted = this.value;
+  }
+
+  /**
+   * Reads the persisted cursor
+   * @returns {number|null} The last processed block, or null when none was recorded
+   */
+  load() {
+    try {
+      const { lastProcessedBlock } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return Number.isInteger(lastProcessedBlock) ? lastProcessedBlock : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error("Could not read block cursor", { file: this.file, error });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Writes the cursor to disk, replacing the file atomically
+   */
+  save() {
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ lastProcessedBlock: this.value }));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  /**
+   * Marks an event from the given block as in progress
+   * @param {number} blockNumber - Block the event was emitted in
+   */
+  begin(blockNumber) {
+    this.pending.set(blockNumber, (this.pending.get(blockNumber) || 0) + 1);
+  }
+
+  /**
+   * Marks an event from the given block as handled and advances the cursor if possible
+   * @param {number} blockNumber - Block the event was emitted in
+   */
+  complete(blockNumber) {
+    const remaining = (this.pending.get(blockNumber) || 1) - 1;
+    if (remaining > 0) {
+      this.pending.set(blockNumber, remaining);
+    } else {
+      this.pending.delete(blockNumber);
+    }
+    if (this.highestCompleted === null || blockNumber > this.highestCompleted) {
+      this.highestCompleted = blockNumber;
+    }
+
+    const safeBlock = this.pending.size > 0
+      ? Math.min(...this.pending.keys()) - 1
+      : this.highestCompleted;
+    this.advanceTo(safeBlock);
+  }
+
+  /**
+   * Moves the cursor forward to the given block, never backwards
+   * @param {number} blockNumber - Block up to which all events have been processed
+   */
+  advanceTo(blockNumber) {
+    if (this.pending.size > 0) {
+      blockNumber = Math.min(blockNumber, Math.min(...this.pending.keys()) - 1);
+    }
+    if (this.value !== null && blockNumber <= this.value) {
+      return;
+    }
+    this.value = blockNumber;
+    try {
+      this.save();
+    } catch (error) {
+      logger.error("Could not persist block cursor", { file: this.file, error });
+    }
+  }
+}
+
+module.exports = {
+  BlockCursor,
+  cursorFileFor
+};
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Holds oracle events back until their block is buried under the network's
+ * confirmation depth, and detects chain reorganizations while they wait. When the block
+ * an event was seen in is no longer canonical, the event's transaction receipt decides
+ * what happens: a transaction that is gone cancels the event, one that was re-included
+ * in another block restarts the wait from the new block.
+ */
+
+const { logger } = require('./logger');
+
+/**
+ * @typedef {Object} PendingEvent
+ * @property {Object} event - The event as delivered by the provider
+ * @property {function(Object): void} onConfirmed - Called with the event once it is deep enough
+ * @property {function(Object): void} onCancelled - Called with the event when its log was removed
+ */
+
+/**
+ * Tracks events until they reach the confirmation depth
+ */
+class ConfirmationTracker {
+  /**
+   * @param {Object} options
+   * @param {ethers.providers.Provider} options.provider - Provider of the network the events come from
+   * @param {ethers.Contract} options.contract - Contract emitting the events, used to decode re-included logs
+   * @param {number} options.confirmations - Blocks an event's block must have on top of it, including itself
+   * @param {string} [options.name] - Name of the network, for logs
+   */
+  constructor({ provider, contract, confirmations, name = "" }) {
+    /** @type {ethers.providers.Provider} */
+    this.provider = provider;
+    /** @type {ethers.Contract} */
+    this.contract = contract;
+    /** @type {number} */
+    this.confirmations = Math.max(1, confirmations);
+    /** @type {string} */
+    this.name = name;
+    /** @type {import('./logger').Logger} */
+    this.log = logger.child({ network: name });
+    /** @type {Map<string, PendingEvent>} Events waiting for confirmation, by transaction hash and log index */
+    this.pending = new Map();
+    /** @type {boolean} Whether a check is running */
+    this.checking = false;
+    /** @type {number|null} Head block seen while a check was running, checked once it finishes */
+    this.deferredHead = null;
+    /** @type {function(number): void|null} Block listener registered by start() */
+    this.blockListener = null;
+  }
+
+  /**
+   * @param {Object} event - An event
+   * @returns {string} Key identifying the event's log
+   */
+  static keyOf(event) {
+    return `${event.transactionHash}:${event.logIndex}`;
+  }
+
+  /**
+   * Starts checking pending events on every new block
+   */
+  start() {
+    if (this.blockListener) {
+      return;
+    }
+    this.blockListener = (blockNumber) => this.handleBlock(blockNumber);
+    this.provider.on("block", this.blockListener);
+  }
+
+  /**
+   * Checks pending events against a new head block, for callers that receive blocks
+   * from their own subscription instead of calling start()
+   * @param {number} blockNumber - The new head block number
+   */
+  handleBlock(blockNumber) {
+    this.check(blockNumber).catch((error) => {
+      this.log.error("Error checking event confirmations", { blockNumber, error });
+    });
+  }
+
+  /**
+   * Stops checking for new blocks
+   */
+  stop() {
+    if (this.blockListener) {
+      this.provider.off("block", this.blockListener);
+      this.blockListener = null;
+    }
+  }
+
+  /**
+   * Removes every pending event without calling its callbacks, e.g. when shutting down
+   * @returns {Array<Object>} The events that were still waiting for confirmation
+   */
+  drain() {
+    const events = [...this.pending.values()].map(({ event }) => event);
+    this.pending.clear();
+    return events;
+  }
+
+  /**
+   * Holds an event until it is confirmed. With a depth of one block the event is
+   * confirmed as soon as it is mined, so it is passed on right away.
+   * @param {Object} event - The event, with blockNumber, blockHash, transactionHash and logIndex
+   * @param {function(Object): void} onConfirmed - Called with the event once it is deep enough
+   * @param {function(Object): void} [onCancelled] - Called with the event when its log was removed
+   */
+  track(event, onConfirmed, onCancelled = () => {}) {
+    if (this.confirmations <= 1) {
+      onConfirmed(event);
+      return;
+    }
+    this.pending.set(ConfirmationTracker.keyOf(event), { event, onConfirmed, onCancelled });
+  }
+
+  /**
+   * Cancels a pending event, e.g. because the provider reported its log as removed
+   * @param {Object} event - The event
+   * @returns {boolean} Whether the event was still pending
+   */
+  remove(event) {
+    const key = ConfirmationTracker.keyOf(event);
+    const pending = this.pending.get(key);
+    if (!pending) {
+      return false;
+    }
+    this.pending.delete(key);
+    pending.onCancelled(pending.event);
+    return true;
+  }
+
+  /**
+   * Passes on events that reached the confirmation depth and handles those whose block was reorganized away
+   * @param {number} headBlock - Current head block number
+   * @returns {Promise<void>}
+   */
+  async check(headBlock) {
+    if (this.checking) {
+      this.deferredHead = Math.max(this.deferredHead || 0, headBlock);
+      return;
+    }
+    this.checking = true;
+    try {
+      /** @type {Map<number, Array<string>>} Keys of the events due for a check, by block number */
+      const dueByBlock = new Map();
+      for (const [key, { event }] of this.pending) {
+        if (headBlock - event.blockNumber + 1 >= this.confirmations) {
+          if (!dueByBlock.has(event.blockNumber)) {
+            dueByBlock.set(event.blockNumber, []);
+          }
+          dueByBlock.get(event.blockNumber).push(key);
+        }
+      }
+
+      for (const [blockNumber, keys] of dueByBlock) {
+        const block = await this.provider.getBlock(blockNumber);
+        for (const key of keys) {
+          const pending = this.pending.get(key);
+          if (!pending) continue;
+          this.pending.delete(key);
+          if (block && block.hash === pending.event.blockHash) {
+            pending.onConfirmed(pending.event);
+            continue;
+          }
+          try {
+            await this.handleReorg(pending);
+          } catch (error) {
+            // Keep the event so the next block checks it again
+            this.pending.set(key, pending);
+            throw error;
+          }
+        }
+      }
+    } finally {
+      this.checking = false;
+    }
+
+    if (this.deferredHead !== null) {
+      const deferredHead = this.deferredHead;
+      this.deferredHead = null;
+      await this.check(deferredHead);
+    }
+  }
+
+  /**
+   * Re-examines an event whose block is no longer canonical
+   * @param {PendingEvent} pending - The event and its callbacks
+   * @returns {Promise<void>}
+   */
+  async handleReorg({ event, onConfirmed, onCancelled }) {
+    const receipt = await this.provider.getTransactionReceipt(event.transactionHash);
+    const log = receipt && this.findLog(receipt, event);
+    if (!log) {
+      this.log.warn("Block was reorganized and the event's transaction is gone, cancelling its event", {
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+      });
+      onCancelled(event);
+      return;
+    }
+
+    const parsed = this.contract.interface.parseLog(log);
+    const moved = {
+      ...event,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      logIndex: log.logIndex,
+      data: log.data,
+      topics: log.topics,
+      args: parsed.args,
+    };
+    this.log.warn("Event moved to another block, waiting for confirmations again", {
+      transactionHash: event.transactionHash,
+      fromBlock: event.blockNumber,
+      toBlock: log.blockNumber,
+    });
+    this.pending.set(ConfirmationTracker.keyOf(moved), { event: moved, onConfirmed, onCancelled });
+  }
+
+  /**
+   * Finds the log matching an event in a receipt of its transaction
+   * @param {Object} receipt - Transaction receipt from the canonical chain
+   * @param {Object} event - The event as originally seen
+   * @returns {Object|null} The matching log, preferring one with identical topics and data
+   */
+  findLog(receipt, event) {
+    const candidates = receipt.logs.filter((log) =>
+      log.address.toLowerCase() === this.contract.address.toLowerCase()
+      && event.topics && log.topics[0] === event.topics[0]);
+    const identical = candidates.find((log) => log.data === event.data
+      && log.topics.length === event.topics.length
+      && log.topics.every((topic, i) => topic === event.topics[i]));
+    return identical || candidates[0] || null;
+  }
+}
+
+module.exports = {
+  ConfirmationTracker
+};
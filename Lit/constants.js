@@ -1,8 +1,33 @@
 
 // constants.js
 
-const FHENIX_RPC_URL = "https://sepolia-rpc.scroll.io";
-const ORACLE_ADDRESS = "0x03d42AB95f54DEe5d3Ce7db984237b340f458988";
+// Network profiles used when NETWORKS_FILE is not set. See networks.js for the fields.
+const DEFAULT_NETWORK_PROFILES = [
+  {
+    name: "scroll-sepolia",
+    chainId: 534351,
+    rpcUrl: "https://sepolia-rpc.scroll.io",
+    oracleAddress: "0x03d42AB95f54DEe5d3Ce7db984237b340f458988",
+    confirmations: 1,
+    litNetwork: "datil-dev"
+  }
+];
+/**
+ * Reads the plaintext of every secret litAction.js uses from the environment. encryptSecrets.js
+ * encrypts them; local execution mode hands them to the action as they are.
+ * @returns {Object<string, string|undefined>} Plaintexts by the secret name the action uses
+ */
+function secretSources() {
+  return {
+    mnemonic: process.env.ACTION_WALLET_MNEMONIC || process.env.WALLET_MNEMONIC,
+    anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+    openAiApiKey: process.env.OPENAI_API_KEY,
+    groqApiKey: process.env.GROQ_API_KEY,
+    ipfsApiUrl: process.env.IPFS_API_URL,
+    ipfsApiAuth: process.env.IPFS_API_AUTH,
+  };
+}
+
 // Add the ABI here. For now, I'll include a placeholder for the PromptAdded event
 const ORACLE_ABI = [
 	{
@@ -1753,7 +1778,7 @@ const ORACLE_ABI = [
 ];
 
 module.exports = {
-  FHENIX_RPC_URL,
-  ORACLE_ADDRESS,
-  ORACLE_ABI
+  DEFAULT_NETWORK_PROFILES,
+  ORACLE_ABI,
+  secretSources
 };
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Local dev chain for the end-to-end harness. Starts anvil (from Foundry)
+ * unless E2E_RPC_URL points at a running node, compiles the contracts with solc and
+ * deploys ChatOracle, AnthropicChatGpt and the OpenAiChat fixture with the relay wallet
+ * whitelisted.
+ * @requires child_process
+ * @requires fs
+ * @requires path
+ * @requires ethers
+ * @requires solc
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const ethers = require("ethers");
+
+/** @type {string} Mnemonic of the dev chain's funded accounts */
+const DEV_MNEMONIC = "test test test test test test test test test test test junk";
+/** @type {number} Chain ID of the dev chain */
+const DEV_CHAIN_ID = 31337;
+/** @type {string} Directory holding the Solidity sources */
+const CONTRACTS_DIR = path.join(__dirname, '..', '..', 'contracts');
+/** @type {string} Directory holding the harness's own consumer contracts */
+const FIXTURES_DIR = path.join(__dirname, 'contracts');
+/** @type {number} Milliseconds to wait for the chain to answer after starting it */
+const CHAIN_START_TIMEOUT_MS = 15000;
+
+/**
+ * @typedef {Object} LocalChain
+ * @property {string} rpcUrl - JSON-RPC endpoint
+ * @property {ethers.providers.JsonRpcProvider} provider - Provider for the endpoint
+ * @property {function(): Promise<void>} stop - Stops the chain if the harness started it
+ */
+
+/**
+ * Derives a funded dev account
+ * @param {number} index - Account index
+ * @param {ethers.providers.Provider} provider - Provider to connect the wallet to
+ * @returns {ethers.Wallet} The wallet
+ */
+function devWallet(index, provider) {
+  return ethers.Wallet.fromMnemonic(DEV_MNEMONIC, `m/44'/60'/0'/0/${index}`).connect(provider);
+}
+
+/**
+ * Waits until a provider answers
+ * @param {ethers.providers.JsonRpcProvider} provider - The provider
+ * @param {number} timeoutMs - Milliseconds to wait
+ * @returns {Promise<void>}
+ * @throws {Error} When the provider does not answer in time
+ */
+async function waitForChain(provider, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      await provider.getBlockNumber();
+      return;
+    } catch (error) {
+      if (Date.now() > deadline) {
+        throw new Error(`Chain did not answer within ${timeoutMs} ms: ${error.message}`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, 250));
+    }
+  }
+}
+
+/**
+ * Starts anvil, or connects to E2E_RPC_URL when it is set
+ * @param {Object} options
+ * @param {number} options.port - Port anvil listens on
+ * @returns {Promise<LocalChain>} The chain
+ */
+async function startChain({ port }) {
+  if (process.env.E2E_RPC_URL) {
+    const provider = new ethers.providers.JsonRpcProvider(process.env.E2E_RPC_URL, DEV_CHAIN_ID);
+    await waitForChain(provider, CHAIN_START_TIMEOUT_MS);
+    return { rpcUrl: process.env.E2E_RPC_URL, provider, stop: async () => {} };
+  }
+
+  const anvil = spawn('anvil', [
+    '--port', String(port),
+    '--chain-id', String(DEV_CHAIN_ID),
+    '--mnemonic', DEV_MNEMONIC,
+    '--disable-code-size-limit',
+  ], { stdio: 'ignore' });
+  const exited = new Promise((resolve) => anvil.once('exit', resolve));
+  const failed = new Promise((resolve, reject) => {
+    anvil.once('error', (error) => reject(new Error(`Could not start anvil, install Foundry or set E2E_RPC_URL: ${error.message}`)));
+  });
+  failed.catch(() => {});
+
+  const rpcUrl = `http://127.0.0.1:${port}`;
+  const provider = new ethers.providers.JsonRpcProvider(rpcUrl, DEV_CHAIN_ID);
+  await Promise.race([waitForChain(provider, CHAIN_START_TIMEOUT_MS), failed]);
+  return {
+    rpcUrl,
+    provider,
+    stop: async () => {
+      if (anvil.exitCode === null) {
+        anvil.kill('SIGTERM');
+        await exited;
+      }
+    },
+  };
+}
+
+/**
+ * Compiles ChatOracle.sol, anthropicChatGpt.sol and the OpenAiChat.sol fixture
+ * @returns {Object<string, {abi: Array, bytecode: string}>} ABI and bytecode by contract name
+ * @throws {Error} When compilation fails
+ */
+function compileContracts() {
+  const solc = require('solc');
+  const sources = {};
+  for (const file of ['ChatOracle.sol', 'anthropicChatGpt.sol']) {
+    sources[file] = { content: fs.readFileSync(path.join(CONTRACTS_DIR, file), 'utf8') };
+  }
+  sources['OpenAiChat.sol'] = { content: fs.readFileSync(path.join(FIXTURES_DIR, 'OpenAiChat.sol'), 'utf8') };
+  const input = {
+    language: 'Solidity',
+    sources,
+    settings: {
+      // The consumers copy memory structs holding arrays to storage, which only the IR pipeline supports
+      viaIR: true,
+      // Recent solc versions default to Cancun; Paris keeps the contracts deployable on nodes without it
+      evmVersion: 'paris',
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } },
+    },
+  };
+  const findImports = (importPath) => {
+    try {
+      return { contents: fs.readFileSync(path.join(CONTRACTS_DIR, importPath), 'utf8') };
+    } catch (error) {
+      return { error: `Import ${importPath} not found` };
+    }
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+  const errors = (output.errors || []).filter((error) => error.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(`Contract compilation failed:\n${errors.map((error) => error.formattedMessage).join('\n')}`);
+  }
+
+  const contract = (file, name) => ({
+    abi: output.contracts[file][name].abi,
+    bytecode: output.contracts[file][name].evm.bytecode.object,
+  });
+  return {
+    ChatOracle: contract('ChatOracle.sol', 'ChatOracle'),
+    AnthropicChatGpt: contract('anthropicChatGpt.sol', 'AnthropicChatGpt'),
+    OpenAiChat: contract('OpenAiChat.sol', 'OpenAiChat'),
+  };
+}
+
+/**
+ * Deploys the oracle and the chat consumers, and whitelists the relay wallet on the oracle
+ * @param {ethers.Wallet} deployer - Account deploying the contracts and owning the oracle
+ * @param {string} relayAddress - Address submitting responses
+ * @returns {Promise<{oracle: ethers.Contract, chat: ethers.Contract, openAiChat: ethers.Contract}>} The
+ *   deployed contracts: the Anthropic consumer as `chat` and the OpenAI one as `openAiChat`
+ */
+async function deployContracts(deployer, relayAddress) {
+  const { ChatOracle, AnthropicChatGpt, OpenAiChat } = compileContracts();
+
+  const oracle = await new ethers.ContractFactory(ChatOracle.abi, ChatOracle.bytecode, deployer).deploy();
+  await oracle.deployed();
+  await (await oracle.updateWhitelist(relayAddress, true)).wait();
+
+  const chat = await new ethers.ContractFactory(AnthropicChatGpt.abi, AnthropicChatGpt.bytecode, deployer).deploy(oracle.address);
+  await chat.deployed();
+
+  const openAiChat = await new ethers.ContractFactory(OpenAiChat.abi, OpenAiChat.bytecode, deployer).deploy(oracle.address);
+  await openAiChat.deployed();
+  return { oracle, chat, openAiChat };
+}
+
+module.exports = {
+  DEV_MNEMONIC,
+  DEV_CHAIN_ID,
+  devWallet,
+  startChain,
+  deployContracts
+};
@@ -0,0 +1,121 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.13;
+
+// Resolved from the repository's contracts directory by the e2e harness
+import "interfaces/IOracle.sol";
+
+// @title OpenAiChat
+// @notice Minimal chat consumer of the oracle's OpenAI calls, deployed by the end-to-end harness only
+contract OpenAiChat {
+
+    struct ChatRun {
+        address owner;
+        IOracle.Message[] messages;
+        uint messagesCount;
+    }
+
+    // @notice Mapping from chat ID to ChatRun
+    mapping(uint => ChatRun) public chatRuns;
+    uint private chatRunsCount;
+
+    // @notice Event emitted when a new chat is created
+    event ChatCreated(address indexed owner, uint indexed chatId);
+
+    // @notice Address of the oracle contract
+    address public oracleAddress;
+
+    // @notice Configuration for the OpenAI request
+    IOracle.OpenAiRequest private config;
+
+    // @param initialOracleAddress Address of the oracle contract
+    constructor(address initialOracleAddress) {
+        oracleAddress = initialOracleAddress;
+
+        config = IOracle.OpenAiRequest({
+            model : "gpt-4o-mini",
+            frequencyPenalty : 21, // > 20 for null
+            logitBias : "", // empty str for null
+            maxTokens : 500, // 0 for null
+            presencePenalty : 21, // > 20 for null
+            responseFormat : "", // empty str for null
+            seed : 0, // null
+            stop : "", // null
+            temperature : 21, // > 20 for null
+            topP : 101, // > 100 for null
+            tools : "", // empty str for null
+            toolChoice : "", // empty str for null
+            user : "" // null
+        });
+    }
+
+    // @notice Ensures the caller is the oracle contract
+    modifier onlyOracle() {
+        require(msg.sender == oracleAddress, "Caller is not oracle");
+        _;
+    }
+
+    // @notice Starts a new chat
+    // @param message The initial message to start the chat with
+    // @return The ID of the newly created chat
+    function startChat(string memory message) public returns (uint) {
+        ChatRun storage run = chatRuns[chatRunsCount];
+
+        run.owner = msg.sender;
+        run.messages.push(createTextMessage("user", message));
+        run.messagesCount++;
+
+        uint currentId = chatRunsCount;
+        chatRunsCount++;
+
+        IOracle(oracleAddress).createOpenAiLlmCall(currentId, config);
+        emit ChatCreated(msg.sender, currentId);
+
+        return currentId;
+    }
+
+    // @notice Handles the response from the oracle for an OpenAI call
+    // @param runId The ID of the chat run
+    // @param response The response from the oracle
+    // @param errorMessage Any error message
+    // @dev Called by teeML oracle
+    function onOracleOpenAiLlmResponse(
+        uint runId,
+        IOracle.OpenAiResponse memory response,
+        string memory errorMessage
+    ) public onlyOracle {
+        ChatRun storage run = chatRuns[runId];
+        require(
+            keccak256(abi.encodePacked(run.messages[run.messagesCount - 1].role)) == keccak256(abi.encodePacked("user")),
+            "No message to respond to"
+        );
+
+        if (bytes(errorMessage).length > 0) {
+            run.messages.push(createTextMessage("assistant", errorMessage));
+        } else {
+            run.messages.push(createTextMessage("assistant", response.content));
+        }
+        run.messagesCount++;
+    }
+
+    // @notice Retrieves the message history of a chat run
+    // @param chatId The ID of the chat run
+    // @return An array of messages
+    // @dev Called by teeML oracle
+    function getMessageHistory(uint chatId) public view returns (IOracle.Message[] memory) {
+        return chatRuns[chatId].messages;
+    }
+
+    // @notice Creates a text message with the given role and content
+    // @param role The role of the message
+    // @param content The content of the message
+    // @return The created message
+    function createTextMessage(string memory role, string memory content) private pure returns (IOracle.Message memory) {
+        IOracle.Message memory newMessage = IOracle.Message({
+            role: role,
+            content: new IOracle.Content[](1)
+        });
+        newMessage.content[0].contentType = "text";
+        newMessage.content[0].value = content;
+        return newMessage;
+    }
+}
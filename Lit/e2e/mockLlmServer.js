@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Local HTTP stand-in for the Anthropic, OpenAI and Groq APIs used by the
+ * end-to-end harness. Replies are scripted per provider and served in order; every
+ * request is recorded so scenarios can assert what the Lit Action sent.
+ * @requires http
+ */
+
+const http = require('http');
+
+/**
+ * Request paths of each provider, as called by litAction.js
+ * @type {Object<string, string>}
+ */
+const PROVIDER_PATHS = {
+  anthropic: "/v1/messages",
+  openai: "/v1/chat/completions",
+  groq: "/openai/v1/chat/completions",
+};
+
+/**
+ * @typedef {Object} ScriptedReply
+ * @property {number} status - HTTP status code
+ * @property {Object} body - JSON body
+ */
+
+/**
+ * @typedef {Object} RecordedRequest
+ * @property {string} provider - Provider the request was addressed to
+ * @property {Object} headers - Request headers
+ * @property {Object} body - Parsed JSON body
+ */
+
+/**
+ * Mock LLM provider server with scripted replies
+ */
+class MockLlmServer {
+  constructor() {
+    /** @type {Object<string, Array<ScriptedReply>>} Replies still to be served, per provider */
+    this.replies = Object.fromEntries(Object.keys(PROVIDER_PATHS).map((provider) => [provider, []]));
+    /** @type {Array<RecordedRequest>} Requests received, oldest first */
+    this.requests = [];
+    /** @type {http.Server|null} */
+    this.server = null;
+    /** @type {string|null} Base URL once started */
+    this.baseUrl = null;
+  }
+
+  /**
+   * @returns {{anthropic: string, openai: string, groq: string}} Endpoint of each provider
+   */
+  get urls() {
+    return Object.fromEntries(Object.entries(PROVIDER_PATHS).map(([provider, path]) => [provider, this.baseUrl + path]));
+  }
+
+  /**
+   * Queues a raw reply
+   * @param {string} provider - "anthropic", "openai" or "groq"
+   * @param {ScriptedReply} reply - The reply
+   */
+  reply(provider, reply) {
+    this.replies[provider].push(reply);
+  }
+
+  /**
+   * Queues a successful completion in the provider's response format
+   * @param {string} provider - "anthropic", "openai" or "groq"
+   * @param {string} text - Assistant message
+   * @param {Object} [options]
+   * @param {string} [options.model] - Model reported in the response
+   */
+  replyWithText(provider, text, { model = `${provider}-mock` } = {}) {
+    if (provider === "anthropic") {
+      this.reply(provider, {
+        status: 200,
+        body: {
+          id: `msg_${this.requests.length}`,
+          type: "message",
+          role: "assistant",
+          model,
+          content: [{ type: "text", text }],
+          stop_reason: "end_turn",
+          usage: { input_tokens: 10, output_tokens: 5 },
+        },
+      });
+      return;
+    }
+    this.reply(provider, {
+      status: 200,
+      body: {
+        id: `chatcmpl_${this.requests.length}`,
+        object: "chat.completion",
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices: [{ index: 0, message: { role: "assistant", content: text }, finish_reason: "stop" }],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+      },
+    });
+  }
+
+  /**
+   * Queues an error response
+   * @param {string} provider - "anthropic", "openai" or "groq"
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message
+   */
+  replyWithError(provider, status, message) {
+    this.reply(provider, { status, body: { error: { type: "mock_error", message } } });
+  }
+
+  /**
+   * Starts listening
+   * @param {number} [port] - Port to listen on; a free one when 0
+   * @returns {Promise<string>} The base URL
+   */
+  start(port = 0) {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, "127.0.0.1", () => {
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  /**
+   * Stops listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+    });
+  }
+
+  /**
+   * Records a request and serves the provider's next scripted reply
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   */
+  handle(req, res) {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const provider = Object.keys(PROVIDER_PATHS).find((name) => PROVIDER_PATHS[name] === req.url);
+      let reply;
+      if (req.method !== 'POST' || !provider) {
+        reply = { status: 404, body: { error: { message: `No mock for ${req.method} ${req.url}` } } };
+      } else {
+        let body = null;
+        try {
+          body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (error) {
+          body = null;
+        }
+        this.requests.push({ provider, headers: req.headers, body });
+        reply = this.replies[provider].shift()
+          || { status: 500, body: { error: { message: `No scripted reply left for ${provider}` } } };
+      }
+      res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply.body));
+    });
+  }
+}
+
+module.exports = {
+  MockLlmServer,
+  PROVIDER_PATHS
+};
@@ -0,0 +1,348 @@
+/**
+ * @fileoverview End-to-end harness for listener.js and litAction.js. It deploys ChatOracle,
+ * AnthropicChatGpt and an OpenAI chat consumer to a local dev chain, starts the mock LLM
+ * providers and runs the listener in local execution mode against them. Each scenario scripts the provider's
+ * reply, calls startChat and waits for PromptAdded -> Lit Action -> addResponse ->
+ * onOracleLlmResponse to land, then asserts the chat's on-chain message history. A scenario
+ * fails as soon as the listener gives up on a work item or exits. The listener is finally stopped
+ * with SIGTERM and has to exit cleanly.
+ *
+ * Usage, from the Lit directory after npm install:
+ *   npm run test:e2e
+ * anvil (from Foundry) has to be on PATH unless E2E_RPC_URL points at a running dev chain
+ * funded from the default test mnemonic. Exits with status 0 when every scenario passes.
+ * @requires assert
+ * @requires child_process
+ * @requires fs
+ * @requires net
+ * @requires os
+ * @requires path
+ */
+
+const assert = require('assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const { ProcessingLedger, STATES } = require('../ledger');
+const { MockLlmServer } = require('./mockLlmServer');
+const { DEV_MNEMONIC, DEV_CHAIN_ID, devWallet, startChain, deployContracts } = require('./chain');
+
+/** @type {string} Directory the listener runs in */
+const LIT_DIR = path.join(__dirname, '..');
+/** @type {number} Milliseconds a scenario may wait for the chat to be answered */
+const E2E_TIMEOUT_MS = parseInt(process.env.E2E_TIMEOUT_MS || "60000", 10);
+/** @type {number} Milliseconds the listener may take to start or to shut down */
+const LISTENER_TIMEOUT_MS = 30000;
+/** @type {number} Backoff before the listener's first retry, kept short so retry scenarios finish quickly */
+const RETRY_BASE_DELAY_MS = 100;
+
+/**
+ * @typedef {Object} HarnessContext
+ * @property {ethers.Contract} chat - AnthropicChatGpt, connected to the chatting user
+ * @property {ethers.Contract} openAiChat - OpenAiChat, connected to the chatting user
+ * @property {MockLlmServer} llm - The mock LLM providers
+ * @property {ListenerHandle} listener - The running listener
+ */
+
+/**
+ * @typedef {Object} Scenario
+ * @property {string} name - What the scenario checks
+ * @property {function(HarnessContext): Promise<void>} run - Runs the scenario, throwing when it fails
+ */
+
+/** @type {Array<Scenario>} */
+const SCENARIOS = [
+  {
+    name: "answers a chat with the provider's reply",
+    run: async ({ chat, llm, listener }) => {
+      llm.replyWithText("anthropic", "Hello from the mock provider");
+      const chatId = await startChat(chat, "Hi there");
+
+      const history = await waitForMessages(chat, chatId, 2, listener);
+      assert.deepStrictEqual(history, [
+        ["user", "Hi there"],
+        ["assistant", "Hello from the mock provider"],
+      ]);
+
+      const request = llm.requests[llm.requests.length - 1];
+      assert.strictEqual(request.provider, "anthropic");
+      assert.strictEqual(request.headers['x-api-key'], "e2e-anthropic-key");
+      assert.ok(JSON.stringify(request.body.messages).includes("Hi there"), "the prompt was not sent to the provider");
+    },
+  },
+  {
+    name: "retries a provider server error and answers once the provider recovers",
+    run: async ({ chat, llm, listener }) => {
+      const requestsBefore = llm.requests.length;
+      llm.replyWithError("anthropic", 500, "Overloaded");
+      llm.replyWithText("anthropic", "Back again");
+      const chatId = await startChat(chat, "Are you there?");
+
+      const history = await waitForMessages(chat, chatId, 2, listener);
+      assert.deepStrictEqual(history, [
+        ["user", "Are you there?"],
+        ["assistant", "Back again"],
+      ]);
+      assert.strictEqual(llm.requests.length - requestsBefore, 2, "the provider was not called again after the error");
+    },
+  },
+  {
+    name: "reports a provider's client error in the chat without retrying",
+    run: async ({ chat, llm, listener }) => {
+      const requestsBefore = llm.requests.length;
+      llm.replyWithError("anthropic", 400, "Invalid request");
+      const chatId = await startChat(chat, "Hello?");
+
+      const history = await waitForMessages(chat, chatId, 2, listener);
+      assert.deepStrictEqual(history[0], ["user", "Hello?"]);
+      assert.strictEqual(history[1][0], "assistant");
+      assert.match(history[1][1], /^PROVIDER_ERROR: HTTP 400/);
+      assert.strictEqual(llm.requests.length - requestsBefore, 1);
+    },
+  },
+  {
+    name: "answers an OpenAI chat with the provider's reply",
+    run: async ({ openAiChat, llm, listener }) => {
+      llm.replyWithText("openai", "Hello from the mock OpenAI", { model: "gpt-4o-mini" });
+      const chatId = await startChat(openAiChat, "Hi OpenAI");
+
+      const history = await waitForMessages(openAiChat, chatId, 2, listener);
+      assert.deepStrictEqual(history, [
+        ["user", "Hi OpenAI"],
+        ["assistant", "Hello from the mock OpenAI"],
+      ]);
+
+      const request = llm.requests[llm.requests.length - 1];
+      assert.strictEqual(request.provider, "openai");
+      assert.strictEqual(request.headers.authorization, "Bearer e2e-openai-key");
+      assert.strictEqual(request.body.model, "gpt-4o-mini");
+      assert.ok(JSON.stringify(request.body.messages).includes("Hi OpenAI"), "the prompt was not sent to the provider");
+    },
+  },
+];
+
+/**
+ * Finds a free TCP port
+ * @returns {Promise<number>} The port
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Polls a condition until it holds
+ * @param {function(): Promise<*>} condition - Resolves with a truthy value once it holds
+ * @param {number} timeoutMs - Milliseconds to wait
+ * @param {string} description - What is being waited for, for the timeout error
+ * @param {function(): (Error|null)} [failure] - Returns an error once waiting is pointless
+ * @returns {Promise<*>} The condition's value
+ * @throws {Error} When the condition does not hold in time, or the failure check reports an error
+ */
+async function waitFor(condition, timeoutMs, description, failure = () => null) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await condition().catch(() => null);
+    if (value) {
+      return value;
+    }
+    const error = failure();
+    if (error) {
+      throw error;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out after ${timeoutMs} ms waiting for ${description}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+}
+
+/**
+ * Starts a chat and returns its ID
+ * @param {ethers.Contract} chat - AnthropicChatGpt or OpenAiChat, connected to the user
+ * @param {string} message - First message
+ * @returns {Promise<number>} The chat ID
+ */
+async function startChat(chat, message) {
+  const receipt = await (await chat.startChat(message)).wait();
+  const created = receipt.events.find((event) => event.event === "ChatCreated");
+  return created.args.chatId.toNumber();
+}
+
+/**
+ * Waits until a chat holds a number of messages
+ * @param {ethers.Contract} chat - AnthropicChatGpt or OpenAiChat
+ * @param {number} chatId - The chat ID
+ * @param {number} count - Number of messages to wait for
+ * @param {ListenerHandle} listener - The running listener; a work item it gives up on meanwhile ends the wait
+ * @returns {Promise<Array<[string, string]>>} Role and text of every message
+ */
+async function waitForMessages(chat, chatId, count, listener) {
+  const since = new Date().toISOString();
+  return await waitFor(async () => {
+    const messages = await chat.getMessageHistory(chatId);
+    return messages.length >= count && messages.map((message) => [message.role, message.content[0].value]);
+  }, E2E_TIMEOUT_MS, `${count} messages in chat ${chatId}`, () => listener.failure(since));
+}
+
+/**
+ * @typedef {Object} ListenerHandle
+ * @property {function(): Promise<number>} stop - Stops the listener with SIGTERM and resolves with its exit code
+ * @property {function(): string} output - Everything the listener logged
+ * @property {function(string): (Error|null)} failure - Reports the listener having exited, or a work item
+ *   it moved to failed or dead since the given ISO time, with the item's error
+ */
+
+/**
+ * Starts the listener in local execution mode
+ * @param {Object} options
+ * @param {string} options.workDir - Directory for the network profile, ledger and cursor
+ * @param {string} options.rpcUrl - Dev chain endpoint
+ * @param {string} options.oracleAddress - Deployed ChatOracle
+ * @param {MockLlmServer} options.llm - The mock LLM providers
+ * @returns {Promise<ListenerHandle>} The running listener
+ */
+async function startListener({ workDir, rpcUrl, oracleAddress, llm }) {
+  const networksFile = path.join(workDir, 'networks.json');
+  fs.writeFileSync(networksFile, JSON.stringify([{
+    name: "e2e",
+    chainId: DEV_CHAIN_ID,
+    rpcUrl,
+    oracleAddress,
+    confirmations: 1,
+    litNetwork: "local",
+    pollIntervalMs: 250,
+    stallTimeoutMs: 10 * 60 * 1000,
+  }]));
+
+  const ledgerFile = path.join(workDir, 'ledger.jsonl');
+  const adminPort = await freePort();
+  const listener = spawn(process.execPath, ['listener.js'], {
+    cwd: LIT_DIR,
+    env: {
+      ...process.env,
+      LIT_EXECUTION_MODE: "local",
+      NETWORKS_FILE: networksFile,
+      LEDGER_FILE: ledgerFile,
+      CURSOR_DIR: workDir,
+      WALLET_MNEMONIC: DEV_MNEMONIC,
+      ACTION_WALLET_MNEMONIC: DEV_MNEMONIC,
+      ANTHROPIC_API_KEY: "e2e-anthropic-key",
+      OPENAI_API_KEY: "e2e-openai-key",
+      GROQ_API_KEY: "e2e-groq-key",
+      ANTHROPIC_API_URL: llm.urls.anthropic,
+      OPENAI_API_URL: llm.urls.openai,
+      GROQ_API_URL: llm.urls.groq,
+      ADMIN_PORT: String(adminPort),
+      ADMIN_HOST: "127.0.0.1",
+      RETRY_BASE_DELAY_MS: String(RETRY_BASE_DELAY_MS),
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  const chunks = [];
+  listener.stdout.on('data', (chunk) => chunks.push(chunk));
+  listener.stderr.on('data', (chunk) => chunks.push(chunk));
+  const exited = new Promise((resolve) => listener.once('exit', (code) => resolve(code)));
+  const output = () => Buffer.concat(chunks).toString('utf8');
+
+  await Promise.race([
+    waitFor(async () => (await fetch(`http://127.0.0.1:${adminPort}/readyz`)).ok, LISTENER_TIMEOUT_MS, "the listener to be ready"),
+    exited.then((code) => {
+      throw new Error(`Listener exited with status ${code} while starting`);
+    }),
+  ]);
+
+  return {
+    output,
+    failure: (since) => {
+      if (listener.exitCode !== null) {
+        return new Error(`Listener exited with status ${listener.exitCode}`);
+      }
+      const failed = new ProcessingLedger(ledgerFile).list().find((entry) =>
+        (entry.state === STATES.FAILED || entry.state === STATES.DEAD) && entry.updatedAt >= since);
+      return failed ? new Error(`Listener gave up on ${failed.key} (${failed.state}): ${failed.error}`) : null;
+    },
+    stop: async () => {
+      if (listener.exitCode !== null) {
+        return listener.exitCode;
+      }
+      listener.kill('SIGTERM');
+      const timeout = new Promise((resolve) => setTimeout(() => resolve(null), LISTENER_TIMEOUT_MS));
+      const code = await Promise.race([exited, timeout]);
+      if (code === null) {
+        listener.kill('SIGKILL');
+        await exited;
+      }
+      return code;
+    },
+  };
+}
+
+/**
+ * Sets up the chain, mock providers and listener, runs every scenario and tears everything down
+ * @returns {Promise<boolean>} Whether every scenario passed
+ */
+async function main() {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-e2e-'));
+  const llm = new MockLlmServer();
+  let chain = null;
+  let listener = null;
+  let passed = true;
+
+  try {
+    await llm.start();
+    chain = await startChain({ port: await freePort() });
+    const deployer = devWallet(0, chain.provider);
+    const user = devWallet(1, chain.provider);
+    const { oracle, chat, openAiChat } = await deployContracts(deployer, deployer.address);
+    console.log(`Deployed ChatOracle at ${oracle.address}, AnthropicChatGpt at ${chat.address} and OpenAiChat at ${openAiChat.address}`);
+
+    listener = await startListener({ workDir, rpcUrl: chain.rpcUrl, oracleAddress: oracle.address, llm });
+    const context = { chat: chat.connect(user), openAiChat: openAiChat.connect(user), llm, listener };
+
+    for (const scenario of SCENARIOS) {
+      try {
+        await scenario.run(context);
+        console.log(`ok - ${scenario.name}`);
+      } catch (error) {
+        passed = false;
+        console.log(`not ok - ${scenario.name}\n  ${error.message.replace(/\n/g, '\n  ')}`);
+      }
+    }
+
+    const exitCode = await listener.stop();
+    if (exitCode === 0) {
+      console.log("ok - listener shuts down cleanly on SIGTERM");
+    } else {
+      passed = false;
+      console.log(`not ok - listener shuts down cleanly on SIGTERM\n  exit status ${exitCode}`);
+    }
+  } catch (error) {
+    passed = false;
+    console.error("Harness failed:", error);
+  } finally {
+    if (listener) {
+      await listener.stop();
+      if (!passed) {
+        console.log("Listener output:\n" + listener.output());
+      }
+    }
+    if (chain) {
+      await chain.stop();
+    }
+    await llm.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+  return passed;
+}
+
+main().then((passed) => process.exit(passed ? 0 : 1));
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Encrypts the secrets used by litAction.js with Lit and writes the
+ * ciphertexts to the secrets file the listener passes to the action in jsParams.
+ * The access control conditions only allow decryption from inside the action whose
+ * IPFS CID matches litAction.js at the time of encryption, so this script must be
+ * re-run whenever litAction.js changes.
+ *
+ * Ciphertexts only decrypt on the Lit network they were made on, so run it once per
+ * `litNetwork` used by the network profiles, selecting it with LIT_NETWORK.
+ *
+ * Plaintexts are read from the environment (or .env):
+ *   ACTION_WALLET_MNEMONIC (falls back to WALLET_MNEMONIC), ANTHROPIC_API_KEY,
+ *   OPENAI_API_KEY, GROQ_API_KEY, and IPFS_API_URL and IPFS_API_AUTH for networks whose
+ *   profile offloads oversize responses
+ * @requires @lit-protocol/lit-node-client
+ * @requires ipfs-only-hash
+ * @requires dotenv
+ */
+
+const { LitNodeClient } = require("@lit-protocol/lit-node-client");
+const Hash = require("ipfs-only-hash");
+const fs = require('fs');
+const path = require('path');
+
+require("dotenv").config();
+
+const { secretSources } = require('./constants');
+
+/**
+ * Builds the location of the encrypted secrets file for a Lit network
+ * @param {string} litNetwork - Lit network name, e.g. "datil-dev"
+ * @returns {string} Path of the secrets file
+ */
+function secretsFileFor(litNetwork) {
+  return path.join(process.env.LIT_SECRETS_DIR || __dirname, `secrets.${litNetwork}.json`);
+}
+
+/**
+ * Builds access control conditions that only the Lit Action with the given IPFS CID satisfies
+ * @param {string} actionIpfsCid - IPFS CID of the action code
+ * @returns {Array<Object>} Access control conditions
+ */
+function buildActionAccessControlConditions(actionIpfsCid) {
+  return [
+    {
+      contractAddress: '',
+      standardContractType: '',
+      chain: 'ethereum',
+      method: '',
+      parameters: [':currentActionIpfsId'],
+      returnValueTest: {
+        comparator: '=',
+        value: actionIpfsCid,
+      },
+    },
+  ];
+}
+
+/**
+ * Encrypts every configured secret and writes the secrets file
+ * @returns {Promise<void>}
+ */
+async function encryptSecrets() {
+  const litActionCode = fs.readFileSync(path.join(__dirname, 'litAction.js'), 'utf8');
+  const actionIpfsCid = await Hash.of(litActionCode);
+  console.log("Lit Action IPFS CID:", actionIpfsCid);
+  const accessControlConditions = buildActionAccessControlConditions(actionIpfsCid);
+
+  const litNetwork = process.env.LIT_NETWORK || "datil-dev";
+  const litNodeClient = new LitNodeClient({
+    litNetwork,
+    debug: false,
+  });
+  await litNodeClient.connect();
+
+  const secrets = {};
+  for (const [name, plaintext] of Object.entries(secretSources())) {
+    if (!plaintext) {
+      console.log(`Skipping ${name}: not set in the environment`);
+      continue;
+    }
+    const { ciphertext, dataToEncryptHash } = await litNodeClient.encrypt({
+      accessControlConditions,
+      dataToEncrypt: new TextEncoder().encode(plaintext),
+    });
+    secrets[name] = { ciphertext, dataToEncryptHash };
+    console.log(`Encrypted ${name}`);
+  }
+
+  const secretsFile = secretsFileFor(litNetwork);
+  fs.writeFileSync(secretsFile, JSON.stringify({ actionIpfsCid, litNetwork, secrets }, null, 2));
+  console.log(`Wrote encrypted secrets to ${secretsFile}`);
+
+  await litNodeClient.disconnect();
+}
+
+if (require.main === module) {
+  encryptSecrets().catch((error) => {
+    console.error("Failed to encrypt secrets:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  secretsFileFor,
+  buildActionAccessControlConditions
+};
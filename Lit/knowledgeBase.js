@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Knowledge base indexing and retrieval for the oracle's knowledge base events.
+ * Documents behind a CID are fetched from an IPFS gateway, split into overlapping
+ * chunks, embedded through an OpenAI-compatible embeddings API and stored as a JSON
+ * vector index on IPFS. The CID of that index is what the oracle records in `kbIndexes`,
+ * and queries are answered by a top-k cosine similarity search over it.
+ * Requires a runtime with global fetch, FormData and Blob (Node 18+).
+ */
+
+const { logger } = require('./logger');
+
+/** @type {string} Gateway used to read documents and indexes, ending with a slash */
+const IPFS_GATEWAY_URL = process.env.IPFS_GATEWAY_URL || "https://ipfs.io/ipfs/";
+/** @type {string} Kubo-compatible HTTP API used to store indexes */
+const IPFS_API_URL = process.env.IPFS_API_URL || "http://127.0.0.1:5001";
+/** @type {string} OpenAI-compatible embeddings endpoint */
+const EMBEDDING_API_URL = process.env.EMBEDDING_API_URL || "https://api.openai.com/v1/embeddings";
+/** @type {string} Embedding model name */
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || "text-embedding-3-small";
+/** @type {number} Number of characters per chunk */
+const KB_CHUNK_SIZE = parseInt(process.env.KB_CHUNK_SIZE || "1000", 10);
+/** @type {number} Number of characters shared between consecutive chunks */
+const KB_CHUNK_OVERLAP = parseInt(process.env.KB_CHUNK_OVERLAP || "200", 10);
+/** @type {number} Number of texts sent per embeddings request */
+const EMBEDDING_BATCH_SIZE = 100;
+/** @type {number} Milliseconds an IPFS or embeddings request may take */
+const KB_REQUEST_TIMEOUT_MS = parseInt(process.env.KB_REQUEST_TIMEOUT_MS || "60000", 10);
+/** @type {number} Number of loaded indexes kept in memory */
+const INDEX_CACHE_SIZE = parseInt(process.env.KB_INDEX_CACHE_SIZE || "16", 10);
+
+/** @type {Map<string, Object>} Recently used indexes by index CID, least recently used first */
+const indexCache = new Map();
+
+/**
+ * Fetches a path from the IPFS gateway
+ * @param {string} ipfsPath - CID, optionally followed by a path inside it
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise<Response>} The successful response
+ * @throws {Error} When the gateway does not return a 2xx status
+ */
+async function fetchFromIpfs(ipfsPath, headers = {}) {
+  const response = await fetch(`${IPFS_GATEWAY_URL}${ipfsPath}`, {
+    headers,
+    signal: AbortSignal.timeout(KB_REQUEST_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`IPFS gateway returned ${response.status} for ${ipfsPath}`);
+  }
+  return response;
+}
+
+/**
+ * Lists the named entries of a UnixFS directory
+ * @param {string} ipfsPath - CID or path to inspect
+ * @returns {Promise<Array<string>|null>} Entry names, or null when the path is not a directory
+ */
+async function listDirectory(ipfsPath) {
+  try {
+    const response = await fetchFromIpfs(`${ipfsPath}?format=dag-json`, {
+      'Accept': 'application/vnd.ipld.dag-json',
+    });
+    const node = await response.json();
+    const names = (node.Links || []).map((link) => link.Name).filter(Boolean);
+    return names.length > 0 ? names : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Splits a file's contents into documents. JSON arrays of strings, or of objects
+ * with a `text` or `content` field, yield one document per element; anything else
+ * is treated as a single text document.
+ * @param {string} body - Raw file contents
+ * @returns {Array<string>} Documents
+ */
+function parseDocuments(body) {
+  try {
+    const parsed = JSON.parse(body);
+    if (Array.isArray(parsed)) {
+      return parsed
+        .map((item) => (typeof item === 'string' ? item : item && (item.text || item.content)))
+        .filter((text) => typeof text === 'string' && text.trim());
+    }
+  } catch (error) {
+    // Not JSON, fall through
+  }
+  return body.trim() ? [body] : [];
+}
+
+/**
+ * Fetches every document behind a CID, descending into directories
+ * @param {string} ipfsPath - CID or path to read
+ * @returns {Promise<Array<{source: string, text: string}>>} Documents with the path they came from
+ */
+async function fetchDocuments(ipfsPath) {
+  const entries = await listDirectory(ipfsPath);
+  if (entries) {
+    const documents = [];
+    for (const name of entries) {
+      documents.push(...await fetchDocuments(`${ipfsPath}/${encodeURIComponent(name)}`));
+    }
+    return documents;
+  }
+
+  const response = await fetchFromIpfs(ipfsPath);
+  return parseDocuments(await response.text()).map((text) => ({ source: ipfsPath, text }));
+}
+
+/**
+ * Splits text into overlapping chunks
+ * @param {string} text - Text to split
+ * @param {number} [size] - Characters per chunk
+ * @param {number} [overlap] - Characters shared between consecutive chunks
+ * @returns {Array<string>} Chunks
+ */
+function chunkText(text, size = KB_CHUNK_SIZE, overlap = KB_CHUNK_OVERLAP) {
+  const step = Math.max(1, size - overlap);
+  const chunks = [];
+  for (let start = 0; start < text.length; start += step) {
+    const chunk = text.slice(start, start + size).trim();
+    if (chunk) {
+      chunks.push(chunk);
+    }
+    if (start + size >= text.length) {
+      break;
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Embeds texts with the configured embeddings API
+ * @param {Array<string>} texts - Texts to embed
+ * @param {string} [model] - Embedding model to use
+ * @returns {Promise<Array<Array<number>>>} One vector per text, in order
+ */
+async function embedTexts(texts, model = EMBEDDING_MODEL) {
+  const apiKey = process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY;
+  if (!apiKey) {
+    throw new Error("EMBEDDING_API_KEY is not set");
+  }
+
+  const embeddings = [];
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    const response = await fetch(EMBEDDING_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`,
+      },
+      body: JSON.stringify({ model, input: texts.slice(i, i + EMBEDDING_BATCH_SIZE) }),
+      signal: AbortSignal.timeout(KB_REQUEST_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`Embeddings API returned ${response.status}`);
+    }
+    const { data } = await response.json();
+    embeddings.push(...data.sort((a, b) => a.index - b.index).map((item) => item.embedding));
+  }
+  return embeddings;
+}
+
+/**
+ * Stores a JSON document on IPFS through the Kubo HTTP API
+ * @param {Object} value - Value to store
+ * @returns {Promise<string>} CID of the stored document
+ */
+async function uploadToIpfs(value) {
+  const form = new FormData();
+  form.append('file', new Blob([JSON.stringify(value)], { type: 'application/json' }), 'index.json');
+
+  const headers = process.env.IPFS_API_AUTH ? { 'Authorization': process.env.IPFS_API_AUTH } : {};
+  const response = await fetch(`${IPFS_API_URL}/api/v0/add?pin=true&cid-version=1`, {
+    method: 'POST',
+    headers,
+    body: form,
+    signal: AbortSignal.timeout(KB_REQUEST_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`IPFS API returned ${response.status} while storing the index`);
+  }
+  const { Hash } = await response.json();
+  return Hash;
+}
+
+/**
+ * Builds and stores the vector index for a knowledge base
+ * @param {string} cid - CID of the knowledge base documents
+ * @returns {Promise<string>} CID of the stored index
+ * @throws {Error} When the knowledge base is empty or any step fails
+ */
+async function indexKnowledgeBase(cid) {
+  const documents = await fetchDocuments(cid);
+  const chunks = documents.flatMap(({ source, text }) => chunkText(text).map((chunk) => ({ source, text: chunk })));
+  if (chunks.length === 0) {
+    throw new Error(`No documents found for ${cid}`);
+  }
+
+  logger.info("Embedding knowledge base chunks", { cid, chunkCount: chunks.length, documentCount: documents.length });
+  const embeddings = await embedTexts(chunks.map((chunk) => chunk.text));
+
+  return await uploadToIpfs({
+    version: 1,
+    cid,
+    model: EMBEDDING_MODEL,
+    chunks: chunks.map((chunk, i) => ({ ...chunk, embedding: embeddings[i] })),
+  });
+}
+
+/**
+ * Loads a vector index from IPFS, keeping recently used ones in memory
+ * @param {string} indexCid - CID of the index
+ * @returns {Promise<Object>} The parsed index
+ */
+async function loadIndex(indexCid) {
+  if (indexCache.has(indexCid)) {
+    const cached = indexCache.get(indexCid);
+    indexCache.delete(indexCid);
+    indexCache.set(indexCid, cached);
+    return cached;
+  }
+
+  const response = await fetchFromIpfs(indexCid);
+  const index = await response.json();
+  if (!Array.isArray(index.chunks)) {
+    throw new Error(`${indexCid} is not a knowledge base index`);
+  }
+
+  indexCache.set(indexCid, index);
+  if (indexCache.size > INDEX_CACHE_SIZE) {
+    indexCache.delete(indexCache.keys().next().value);
+  }
+  return index;
+}
+
+/**
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Cosine similarity of the two vectors
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Finds the chunks of an index most similar to a query
+ * @param {string} indexCid - CID of the index, as recorded in `kbIndexes[cid]`
+ * @param {string} query - Query text
+ * @param {number} numDocuments - Number of documents to return
+ * @returns {Promise<Array<string>>} Matching chunk texts, most similar first
+ */
+async function queryKnowledgeBase(indexCid, query, numDocuments) {
+  const index = await loadIndex(indexCid);
+  const [queryEmbedding] = await embedTexts([query], index.model);
+
+  return index.chunks
+    .map((chunk) => ({ text: chunk.text, score: cosineSimilarity(queryEmbedding, chunk.embedding) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, numDocuments)
+    .map((match) => match.text);
+}
+
+module.exports = {
+  indexKnowledgeBase,
+  queryKnowledgeBase,
+  fetchDocuments,
+  chunkText,
+  embedTexts
+};
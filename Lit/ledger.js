@@ -0,0 +1,299 @@
+/**
+ * @fileoverview Durable processing ledger for work handled by the listener.
+ * Every change is appended to a JSON-lines file as a line holding the changed fields,
+ * so restarts can resume in-flight prompts and operators can look up what happened to
+ * a specific one. The file is compacted to one line per entry once it grows too long.
+ *
+ * Usage as a CLI:
+ *   node ledger.js                                List every entry
+ *   node ledger.js 42                             Show the entries for prompt 42 on any network
+ *   node ledger.js scroll-sepolia:function:7      Show the entry with the given key
+ *   node ledger.js --state failed                 List entries in the given state
+ *   node ledger.js --dead                         List the dead-letter entries
+ *   node ledger.js --requeue scroll-sepolia:prompt:42
+ *                                                 Move a dead-letter entry back to the queue;
+ *                                                 the listener picks it up on its next start. A
+ *                                                 running listener replays it through the admin
+ *                                                 API instead: POST /work/:key/replay
+ * @requires fs
+ * @requires path
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+/** @type {string} Default location of the ledger file */
+const DEFAULT_LEDGER_FILE = path.join(__dirname, 'ledger.jsonl');
+/** @type {number} Lines the ledger file may hold before it is compacted, at least twice the number of entries */
+const LEDGER_COMPACT_LINES = parseInt(process.env.LEDGER_COMPACT_LINES || "10000", 10);
+
+/**
+ * Processing states an entry moves through
+ * @enum {string}
+ */
+const STATES = {
+  RECEIVED: "received",
+  EXECUTING: "executing",
+  RETRYING: "retrying",
+  SUBMITTED: "submitted",
+  CONFIRMED: "confirmed",
+  FAILED: "failed",
+  DEAD: "dead",
+};
+
+/** @type {Set<string>} States after which no further work is expected */
+const TERMINAL_STATES = new Set([STATES.CONFIRMED, STATES.FAILED, STATES.DEAD]);
+
+/**
+ * Builds the ledger key for a prompt
+ * @param {string} network - Name of the network profile
+ * @param {ethers.BigNumber|number|string} promptId - The oracle prompt ID
+ * @returns {string} The ledger key
+ */
+function promptKey(network, promptId) {
+  return `${network}:prompt:${promptId.toString()}`;
+}
+
+/**
+ * Builds the ledger key for a function call
+ * @param {string} network - Name of the network profile
+ * @param {ethers.BigNumber|number|string} functionId - The oracle function ID
+ * @returns {string} The ledger key
+ */
+function functionKey(network, functionId) {
+  return `${network}:function:${functionId.toString()}`;
+}
+
+/**
+ * Builds the ledger key for a knowledge base indexing request
+ * @param {string} network - Name of the network profile
+ * @param {ethers.BigNumber|number|string} kbIndexingRequestId - The oracle indexing request ID
+ * @returns {string} The ledger key
+ */
+function kbIndexKey(network, kbIndexingRequestId) {
+  return `${network}:kbIndex:${kbIndexingRequestId.toString()}`;
+}
+
+/**
+ * Builds the ledger key for a knowledge base query
+ * @param {string} network - Name of the network profile
+ * @param {ethers.BigNumber|number|string} kbQueryId - The oracle knowledge base query ID
+ * @returns {string} The ledger key
+ */
+function kbQueryKey(network, kbQueryId) {
+  return `${network}:kbQuery:${kbQueryId.toString()}`;
+}
+
+/**
+ * @param {string} key - Ledger key of a work item
+ * @returns {string} The kind of work item, e.g. "prompt" or "kbQuery"
+ */
+function keyKind(key) {
+  return key.split(':').slice(-2)[0];
+}
+
+/**
+ * Converts values coming from ethers into plain JSON-serializable values
+ * @param {*} value - Any value
+ * @returns {*} The value with BigNumbers turned into decimal strings
+ */
+function toPlain(value) {
+  if (value && value._isBigNumber) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toPlain(v)]));
+  }
+  return value;
+}
+
+/**
+ * Applies a ledger line to an entry. History items are appended rather than replaced.
+ * @param {Object|undefined} entry - The entry so far, if any
+ * @param {Object} line - Changed fields of the entry
+ * @returns {Object} The updated entry
+ */
+function applyLine(entry, line) {
+  const history = line.history ? [...((entry && entry.history) || []), ...line.history] : undefined;
+  return { ...entry, ...line, ...(history ? { history } : {}) };
+}
+
+/**
+ * Append-only ledger keyed by network and work item (e.g. "scroll-sepolia:prompt:42"),
+ * with the latest state of every entry kept in memory
+ */
+class ProcessingLedger {
+  /**
+   * @param {string} [file] - Path of the JSON-lines file backing the ledger
+   * @param {Object} [options]
+   * @param {number} [options.compactLines] - Lines the file may hold before it is compacted
+   */
+  constructor(file = DEFAULT_LEDGER_FILE, { compactLines = LEDGER_COMPACT_LINES } = {}) {
+    /** @type {string} */
+    this.file = file;
+    /** @type {number} */
+    this.compactLines = compactLines;
+    /** @type {Map<string, Object>} Latest state of every entry */
+    this.entries = new Map();
+    /** @type {number} Number of lines in the ledger file */
+    this.lines = 0;
+    this.load();
+  }
+
+  /**
+   * Replays the ledger file into memory, applying each key's lines in the order they were written
+   */
+  load() {
+    let contents;
+    try {
+      contents = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const line of contents.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const changes = JSON.parse(line);
+        this.entries.set(changes.key, applyLine(this.entries.get(changes.key), changes));
+        this.lines++;
+      } catch (error) {
+        logger.warn("Ignoring malformed ledger line", { file: this.file, length: line.length, error });
+      }
+    }
+  }
+
+  /**
+   * Rewrites the ledger file with one line per entry, dropping superseded lines
+   */
+  compact() {
+    const tmpFile = `${this.file}.tmp`;
+    const lines = [...this.entries.values()].map((entry) => JSON.stringify(entry) + '\n');
+    fs.writeFileSync(tmpFile, lines.join(''));
+    fs.renameSync(tmpFile, this.file);
+    this.lines = lines.length;
+  }
+
+  /**
+   * Merges a change into an entry and appends the changed fields to the file.
+   * State changes are also appended to the entry's history.
+   * @param {string} key - Ledger key of the work item
+   * @param {Object} changes - Fields to update, undefined to clear; `state` and `error` are tracked in the history
+   * @returns {Object} The updated entry
+   */
+  record(key, changes) {
+    const now = new Date().toISOString();
+    const previous = this.entries.get(key);
+    // Cleared fields are written as null, since JSON drops undefined ones
+    const line = {
+      key,
+      ...(previous ? {} : { attempts: 0, createdAt: now, history: [] }),
+      ...Object.fromEntries(Object.entries(toPlain(changes)).map(([k, v]) => [k, v === undefined ? null : v])),
+      updatedAt: now,
+    };
+
+    if (changes.state && (!previous || previous.state !== changes.state || changes.error)) {
+      line.history = [{ state: changes.state, at: now, ...(changes.error ? { error: changes.error } : {}) }];
+    }
+
+    const entry = applyLine(previous, line);
+    this.entries.set(key, entry);
+    fs.appendFileSync(this.file, JSON.stringify(line) + '\n');
+    this.lines++;
+    if (this.lines > Math.max(this.compactLines, this.entries.size * 2)) {
+      this.compact();
+    }
+    return entry;
+  }
+
+  /**
+   * @param {string} key - Ledger key of the work item
+   * @returns {Object|undefined} The entry, if any
+   */
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  /**
+   * Lists entries, optionally filtered by state
+   * @param {Object} [filter]
+   * @param {string} [filter.state] - Only return entries in this state
+   * @returns {Array<Object>} Matching entries, oldest first
+   */
+  list({ state } = {}) {
+    return [...this.entries.values()].filter((entry) => !state || entry.state === state);
+  }
+
+  /**
+   * @returns {Array<Object>} Entries that have not reached a terminal state
+   */
+  unfinished() {
+    return [...this.entries.values()].filter((entry) => !TERMINAL_STATES.has(entry.state));
+  }
+
+  /**
+   * Moves a dead-letter entry back to the received state with a fresh attempt count,
+   * so it is picked up again when unfinished work is resumed
+   * @param {string} key - Ledger key of the work item
+   * @returns {Object} The updated entry
+   * @throws {Error} When the entry does not exist or is not in the dead-letter list
+   */
+  requeue(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      throw new Error(`No ledger entry for ${key}`);
+    }
+    if (entry.state !== STATES.DEAD) {
+      throw new Error(`${key} is ${entry.state}, only dead entries can be requeued`);
+    }
+    return this.record(key, { state: STATES.RECEIVED, attempts: 0, error: undefined, note: "Requeued from the dead-letter list" });
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const ledger = new ProcessingLedger(process.env.LEDGER_FILE);
+  const stateIndex = args.indexOf('--state');
+  const requeueIndex = args.indexOf('--requeue');
+
+  if (requeueIndex !== -1) {
+    try {
+      console.log(JSON.stringify(ledger.requeue(args[requeueIndex + 1]), null, 2));
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  } else if (args.includes('--dead')) {
+    console.log(JSON.stringify(ledger.list({ state: STATES.DEAD }), null, 2));
+  } else if (stateIndex !== -1) {
+    console.log(JSON.stringify(ledger.list({ state: args[stateIndex + 1] }), null, 2));
+  } else if (args[0]) {
+    const entries = args[0].includes(':')
+      ? [ledger.get(args[0])].filter(Boolean)
+      : ledger.list().filter((entry) => entry.promptId === args[0]);
+    if (entries.length === 0) {
+      console.error(`No ledger entry for ${args[0]}`);
+      process.exit(1);
+    }
+    console.log(JSON.stringify(entries.length === 1 ? entries[0] : entries, null, 2));
+  } else {
+    console.log(JSON.stringify(ledger.list(), null, 2));
+  }
+}
+
+module.exports = {
+  ProcessingLedger,
+  STATES,
+  TERMINAL_STATES,
+  DEFAULT_LEDGER_FILE,
+  promptKey,
+  functionKey,
+  kbIndexKey,
+  kbQueryKey,
+  keyKind
+};
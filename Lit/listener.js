@@ -1,6 +1,12 @@
 /**
  * @fileoverview LitNode Event Listener implementation for processing PromptAdded events
- * and executing Lit Actions based on blockchain events.
+ * and executing Lit Actions based on blockchain events. One process can serve several
+ * oracle deployments, each described by a network profile (see networks.js).
+ * SIGINT and SIGTERM shut it down gracefully: intake stops, in-flight work gets up to
+ * SHUTDOWN_TIMEOUT_MS to finish and work that did not start is left in the ledger for
+ * the next run.
+ * With LIT_EXECUTION_MODE=local the Lit Action runs in a vm sandbox instead of on the
+ * Lit network (see localRunner.js).
  * @requires @lit-protocol/lit-node-client
  * @requires @lit-protocol/constants
  * @requires @lit-protocol/auth-helpers
@@ -9,8 +15,8 @@
  */
 
 const { LitNodeClient } = require("@lit-protocol/lit-node-client");
-const { LIT_RPC, LitNetwork } = require("@lit-protocol/constants");
 const fs = require('fs');
+const path = require('path');
 const {
   createSiweMessageWithRecaps,
   generateAuthSig,
@@ -18,30 +24,154 @@ const {
   LitActionResource,
 } = require("@lit-protocol/auth-helpers");
 const ethers = require("ethers");
-const { HDNodeWallet } = require('ethers');
 
 require("dotenv").config();
 
-const { FHENIX_RPC_URL, ORACLE_ADDRESS, ORACLE_ABI } = require('./constants');
+const { ORACLE_ABI } = require('./constants');
+const { loadNetworkProfiles } = require('./networks');
+const { BlockCursor, cursorFileFor } = require('./blockCursor');
+const { ProcessingLedger, STATES, promptKey, functionKey, kbIndexKey, kbQueryKey, keyKind } = require('./ledger');
+const { executeTool } = require('./tools');
+const { indexKnowledgeBase, queryKnowledgeBase } = require('./knowledgeBase');
+const { WorkQueue } = require('./workQueue');
+const { RETRY_MAX_ATTEMPTS, ERROR_CLASSES, withRetry, classifyError, isSessionError, RetryError } = require('./retry');
+const { ConfirmationTracker } = require('./confirmations');
+const { OracleSubscription } = require('./subscription');
+const { LocalLitClient, localSecretParams } = require('./localRunner');
+const { HttpError, startAdminServer } = require('./adminServer');
+const metrics = require('./metrics');
+const { logger, LOG_PAYLOADS } = require('./logger');
 
-/** @type {Object} Current session signatures */
-let currentSessionSigs = null;
-/** @type {number} Timestamp when current session expires */
-let sessionExpirationTime = null;
+/**
+ * @typedef {Object} NetworkContext
+ * @property {import('./networks').NetworkProfile} profile - The network profile
+ * @property {ethers.providers.JsonRpcProvider} provider - Provider for the profile's RPC URL
+ * @property {ethers.Wallet} signer - Relay wallet connected to the provider
+ * @property {ethers.Contract} contract - The oracle deployment on this network
+ * @property {LitNodeClient|LocalLitClient} litNodeClient - Client for the profile's Lit network
+ * @property {OracleSubscription} [subscription] - Subscription to the oracle's events; set once the
+ *   listener is started
+ * @property {function(): Array<{key: string, event: Object}>} [stopListening] - Unsubscribes the
+ *   network's event listener and returns the events still waiting for confirmations that shutdown
+ *   has to persist; set once the listener is started
+ * @property {Error} [startError] - Why resuming work or starting the event listener failed
+ */
+
+/** @type {Map<LitNodeClient, {sessionSigs: Object, expirationTime: number}>} Current session signatures per Lit client */
+const sessions = new Map();
 /** @type {number} Time in milliseconds before expiration to renew session */
 const SESSION_RENEWAL_THRESHOLD = 10 * 60 * 1000; // 10 minutes before expiration
 /** @type {boolean} Flag indicating if the system is initialized */
 let isInitialized = false;
+/** @type {number} Number of blocks scanned per getLogs request while backfilling */
+const BACKFILL_PAGE_SIZE = parseInt(process.env.BACKFILL_PAGE_SIZE || "2000", 10);
+/** @type {ProcessingLedger} Durable record of every prompt the listener has handled */
+const ledger = new ProcessingLedger(process.env.LEDGER_FILE);
+/** @type {WorkQueue} Queue every oracle request waits in before it is executed */
+const workQueue = new WorkQueue({
+  concurrency: parseInt(process.env.WORK_CONCURRENCY || "4", 10),
+  perSenderLimit: parseInt(process.env.WORK_PER_SENDER_LIMIT || "2", 10),
+  perCallbackLimit: parseInt(process.env.WORK_PER_CALLBACK_LIMIT || "2", 10),
+  onJobStarted: (job, waitedMs) => metrics.queueWait.observe({}, waitedMs / 1000),
+});
+/** @type {Set<string>} Keys of work items whose origin is being looked up before they are queued */
+const schedulingKeys = new Set();
+/** @type {number} Interval in milliseconds at which queue statistics are logged while there is work */
+const QUEUE_STATS_INTERVAL_MS = parseInt(process.env.QUEUE_STATS_INTERVAL_MS || "60000", 10);
+/** @type {Map<string, NetworkContext>} Networks served by this process, by profile name */
+const networks = new Map();
+/** @type {boolean} Whether Lit Actions run in a local vm sandbox instead of on the Lit network */
+const LOCAL_EXECUTION = process.env.LIT_EXECUTION_MODE === "local";
+/** @type {Map<string, LitNodeClient|LocalLitClient>} One connected client per Lit network */
+const litNodeClients = new Map();
+/** @type {ethers.Wallet|null} Relay wallet signing the Lit sessions */
+let relayWallet = null;
+/** @type {number} Milliseconds the health check waits for an RPC endpoint */
+const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || "5000", 10);
+/** @type {Map<string, Object>} Encrypted secrets passed to the Lit Action, per Lit network */
+const encryptedSecrets = new Map();
+/** @type {number} Milliseconds shutdown waits for in-flight work before exiting */
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || "30000", 10);
+/** @type {boolean} Flag indicating a shutdown is in progress */
+let shuttingDown = false;
+/** @type {Array<NodeJS.Timeout>} Periodic timers started by initialize */
+const timers = [];
+/** @type {import('http').Server|null} The admin server, when ADMIN_PORT is set */
+let adminServer = null;
+/** @type {number} Distinct model label values of the LLM metrics; further models are labelled "other" */
+const MAX_MODEL_LABELS = parseInt(process.env.MAX_MODEL_LABELS || "50", 10);
+/** @type {Set<string>} Model label values in use */
+const modelLabels = new Set();
+
+/**
+ * Loads the Lit-encrypted secrets the Lit Action decrypts at run time.
+ * Only ciphertexts live on disk, one file per Lit network; see encryptSecrets.js.
+ * @param {string} litNetwork - Lit network the secrets were encrypted on
+ * @returns {Object} Secrets by name, each with ciphertext and dataToEncryptHash
+ * @throws {Error} When the secrets file is missing or invalid
+ */
+function loadEncryptedSecrets(litNetwork) {
+  const file = path.join(process.env.LIT_SECRETS_DIR || __dirname, `secrets.${litNetwork}.json`);
+  try {
+    const { secrets } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return secrets;
+  } catch (error) {
+    throw new Error(`Could not read encrypted secrets from ${file}, run encryptSecrets.js with LIT_NETWORK=${litNetwork} first: ${error.message}`);
+  }
+}
+
+/**
+ * Creates a logger whose lines carry the identifiers of an oracle event
+ * @param {NetworkContext} network - The network the event was emitted on
+ * @param {string} key - Ledger key of the work item
+ * @param {Object} event - The oracle event
+ * @returns {import('./logger').Logger} The logger
+ */
+function eventLogger(network, key, event) {
+  const { promptId, promptCallbackId, functionId, functionCallbackId, id, kbQueryId, sender } = event.args;
+  return logger.child({
+    network: network.profile.name,
+    key,
+    promptId,
+    promptCallbackId,
+    functionId,
+    functionCallbackId,
+    kbIndexingRequestId: id,
+    kbQueryId,
+    sender,
+  });
+}
+
+/**
+ * Creates a logger whose lines carry the identifiers recorded in a work item's ledger entry
+ * @param {string} key - Ledger key of the work item
+ * @returns {import('./logger').Logger} The logger
+ */
+function workLogger(key) {
+  const entry = ledger.get(key) || {};
+  return logger.child({
+    network: entry.network,
+    key,
+    promptId: entry.promptId,
+    promptCallbackId: entry.promptCallbackId,
+    functionId: entry.functionId,
+    functionCallbackId: entry.functionCallbackId,
+    kbIndexingRequestId: entry.kbIndexingRequestId,
+    kbQueryId: entry.kbQueryId,
+    sender: entry.sender,
+  });
+}
 
 /**
  * Generates new session signatures for Lit Protocol interactions
  * @param {LitNodeClient} litNodeClient - The initialized Lit Protocol client
- * @param {HDNodeWallet} ethersSigner - Ethereum signer for authentication
+ * @param {ethers.Wallet} ethersSigner - Ethereum signer for authentication
  * @returns {Promise<Object>} Session signatures object
  * @throws {Error} When signature generation fails
  */
 async function getNewSessionSigs(litNodeClient, ethersSigner) {
-  console.log("Getting new session signatures...");
+  const log = logger.child({ litNetwork: litNodeClient.config.litNetwork });
+  log.info("Getting new session signatures");
   const expiration = new Date(Date.now() + 1000 * 60 * 60 * 24).toISOString(); // 24 hours
   
   const sessionSigs = await litNodeClient.getSessionSigs({
@@ -54,7 +184,7 @@ async function getNewSessionSigs(litNodeClient, ethersSigner) {
       },
     ],
     authNeededCallback: async ({ resourceAbilityRequests, expiration, uri }) => {
-      console.log("Generating auth signature...");
+      log.debug("Generating auth signature");
       const toSign = await createSiweMessageWithRecaps({
         uri: uri,
         expiration: expiration,
@@ -70,174 +200,1327 @@ async function getNewSessionSigs(litNodeClient, ethersSigner) {
     },
   });
 
-  currentSessionSigs = sessionSigs;
-  sessionExpirationTime = new Date(expiration).getTime();
-  console.log("New session signatures obtained successfully. Expires:", expiration);
+  sessions.set(litNodeClient, { sessionSigs, expirationTime: new Date(expiration).getTime() });
+  metrics.sessionRenewals.inc({ lit_network: litNodeClient.config.litNetwork });
+  log.info("New session signatures obtained", { expiration });
   return sessionSigs;
 }
 
 /**
  * Ensures a valid session exists, renewing if necessary
  * @param {LitNodeClient} litNodeClient - The initialized Lit Protocol client
- * @param {HDNodeWallet} ethersSigner - Ethereum signer for authentication
+ * @param {ethers.Wallet} ethersSigner - Ethereum signer for authentication
  * @returns {Promise<Object>} Valid session signatures
  */
 async function ensureValidSession(litNodeClient, ethersSigner) {
   const now = Date.now();
-  if (!currentSessionSigs || !sessionExpirationTime || 
-      now + SESSION_RENEWAL_THRESHOLD >= sessionExpirationTime) {
+  const session = sessions.get(litNodeClient);
+  if (!session || now + SESSION_RENEWAL_THRESHOLD >= session.expirationTime) {
     return await getNewSessionSigs(litNodeClient, ethersSigner);
   }
-  return currentSessionSigs;
+  return session.sessionSigs;
+}
+
+/**
+ * Normalizes the response returned by the Lit Action
+ * @param {Object} result - Result of litNodeClient.executeJs
+ * @returns {{aiResponse: Object, errorMessage: string, txHash: string|null, promptType: string|null,
+ *   provider: string|null, model: string|null, llmLatencyMs: number|null, context: Object|null,
+ *   oversize: Object|null, transientError: string|null}} The AI response, the errorMessage reported
+ *   on-chain, the response transaction hash, details of the LLM call, how the conversation was
+ *   fitted into the model's context window, how a response too large to submit was reduced and
+ *   any failure the action left uncommitted so the prompt can be retried
+ */
+function parseLitActionResponse(result) {
+  const response = (typeof result.response === "string" ? JSON.parse(result.response) : result.response) || {};
+  return {
+    aiResponse: response.aiResponse || null,
+    errorMessage: response.errorMessage || "",
+    txHash: response.txHash || null,
+    promptType: response.promptType || null,
+    provider: response.provider || null,
+    model: response.model || null,
+    llmLatencyMs: typeof response.llmLatencyMs === "number" ? response.llmLatencyMs : null,
+    context: response.context || null,
+    oversize: response.oversize || null,
+    transientError: response.transientError || null,
+  };
+}
+
+/**
+ * Bounds the model label of the LLM metrics. The model requested on-chain is free-form, so
+ * only names the provider reported are used, and at most MAX_MODEL_LABELS of them.
+ * @param {string|null} model - Model name reported by the provider
+ * @returns {string} The label value: the name, "none" without one or "other" past the limit
+ */
+function modelLabel(model) {
+  if (!model) {
+    return "none";
+  }
+  if (!modelLabels.has(model)) {
+    if (modelLabels.size >= MAX_MODEL_LABELS) {
+      return "other";
+    }
+    modelLabels.add(model);
+  }
+  return model;
+}
+
+/**
+ * Records the LLM latency and token usage reported by the Lit Action, including any summary call
+ * and any answer replaced by a shortened one
+ * @param {string} network - Name of the network profile
+ * @param {Object} response - Response parsed by parseLitActionResponse
+ */
+function recordLlmMetrics(network, { aiResponse, promptType, provider, llmLatencyMs, context, oversize }) {
+  const labels = {
+    network,
+    prompt_type: promptType || "unknown",
+    provider: provider || "unknown",
+    model: modelLabel(aiResponse && aiResponse.model),
+  };
+  if (llmLatencyMs !== null) {
+    metrics.llmDuration.observe(labels, llmLatencyMs / 1000);
+  }
+  if (aiResponse) {
+    metrics.llmTokens.inc({ ...labels, direction: "input" }, aiResponse.promptTokens || 0);
+    metrics.llmTokens.inc({ ...labels, direction: "output" }, aiResponse.completionTokens || 0);
+  }
+  // Summaries of trimmed conversations are separate, cheaper calls
+  if (context && context.summary) {
+    const summaryLabels = { ...labels, model: modelLabel(context.summary.model) };
+    metrics.llmTokens.inc({ ...summaryLabels, direction: "input" }, context.summary.promptTokens || 0);
+    metrics.llmTokens.inc({ ...summaryLabels, direction: "output" }, context.summary.completionTokens || 0);
+  }
+  // An answer replaced by a shortened one was still paid for
+  if (oversize && oversize.discardedUsage) {
+    metrics.llmTokens.inc({ ...labels, direction: "input" }, oversize.discardedUsage.promptTokens || 0);
+    metrics.llmTokens.inc({ ...labels, direction: "output" }, oversize.discardedUsage.completionTokens || 0);
+  }
+}
+
+/**
+ * Waits for a response transaction to reach the network's confirmation depth and records the outcome
+ * @param {NetworkContext} network - The network the transaction was sent on
+ * @param {string} key - Ledger key of the prompt or function call
+ * @param {string} txHash - Hash of the response transaction
+ * @returns {Promise<void>}
+ */
+async function confirmSubmission(network, key, txHash) {
+  const log = workLogger(key).child({ txHash });
+  log.info("Waiting for response transaction");
+  const receipt = await network.provider.waitForTransaction(txHash, network.profile.confirmations);
+  const entry = ledger.get(key) || {};
+  metrics.responseGasUsed.observe({
+    network: network.profile.name,
+    kind: keyKind(key),
+    prompt_type: entry.promptType || "none",
+  }, receipt.gasUsed.toNumber());
+  if (receipt.status === 1) {
+    ledger.record(key, { state: STATES.CONFIRMED, blockNumberConfirmed: receipt.blockNumber });
+    log.info("Response transaction confirmed", { blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed });
+  } else {
+    ledger.record(key, { state: STATES.FAILED, error: `Response transaction ${txHash} reverted` });
+    log.error("Response transaction reverted", { blockNumber: receipt.blockNumber });
+  }
+}
+
+/**
+ * Builds the retry callback for a work item: records the failed attempt in the ledger
+ * and renews the Lit session when the signatures were rejected
+ * @param {NetworkContext} network - The network the work item belongs to
+ * @param {string} key - Ledger key of the work item
+ * @returns {function(Error, number, number): Promise<void>} Callback for withRetry
+ */
+function onRetryFor(network, key) {
+  return async (error, attempt, delayMs) => {
+    const log = workLogger(key);
+    log.warn("Attempt failed with a transient error, retrying", { attempt, delayMs, error });
+    ledger.record(key, { state: STATES.RETRYING, error: error.message || String(error) });
+    if (isSessionError(error)) {
+      log.info("Session signature error detected, attempting to renew");
+      try {
+        await getNewSessionSigs(network.litNodeClient, network.signer);
+      } catch (renewError) {
+        log.error("Error renewing session signatures", { error: renewError });
+      }
+    }
+  };
+}
+
+/**
+ * Builds the backoff for a work item, which gives the item's queue slots back while it waits
+ * @param {string} key - Ledger key of the work item
+ * @returns {function(number): Promise<void>} Sleep function for withRetry
+ */
+function backoffFor(key) {
+  return (delayMs) => workQueue.defer(key, delayMs);
+}
+
+/**
+ * Records a work item that failed for good. Items that ran out of retries on a transient
+ * error go to the dead-letter list (state "dead"), from where operators can requeue them.
+ * @param {string} key - Ledger key of the work item
+ * @param {Error} error - The final error
+ */
+function recordFailure(key, error) {
+  const message = error.message || String(error);
+  if (error instanceof RetryError && error.exhausted) {
+    workLogger(key).error("Retries exhausted, moving the work item to the dead-letter list", { attempts: error.attempts, error: error.cause || error });
+    ledger.record(key, { state: STATES.DEAD, error: message, errorClass: error.errorClass });
+    return;
+  }
+  ledger.record(key, {
+    state: STATES.FAILED,
+    error: message,
+    errorClass: error instanceof RetryError ? error.errorClass : classifyError(error),
+  });
+}
+
+/**
+ * Waits for a response transaction, retrying transient RPC failures
+ * @param {NetworkContext} network - The network the transaction was sent on
+ * @param {string} key - Ledger key of the work item
+ * @param {string} txHash - Hash of the response transaction
+ * @returns {Promise<void>}
+ */
+async function confirmWithRetry(network, key, txHash) {
+  await withRetry(() => confirmSubmission(network, key, txHash), {
+    sleep: backoffFor(key),
+    onRetry: (error, attempt, delayMs) => {
+      workLogger(key).warn("Could not confirm response transaction, retrying", { txHash, attempt, delayMs, error });
+    },
+  });
 }
 
 /**
  * Processes a PromptAdded event by executing a Lit Action
+ * @param {NetworkContext} network - The network the event was emitted on
  * @param {Object} event - The blockchain event object
  * @param {Array} messagesRoles - Array of messages and roles for processing
- * @param {LitNodeClient} litNodeClient - The initialized Lit Protocol client
- * @param {HDNodeWallet} ethersSigner - Ethereum signer for authentication
- * @throws {Error} When Lit Action execution fails
+ * @param {boolean} finalAttempt - Whether the prompt will not be retried, so the Lit Action has to
+ *   report provider failures on-chain instead of leaving them to a later attempt
+ * @returns {Promise<string>} Hash of the response transaction
+ * @throws {Error} When Lit Action execution fails, or when the action did not submit a response;
+ *   the latter carries an `errorClass`, transient when the action left the failure for a retry
  */
-async function processPromptAddedEvent(event, messagesRoles, litNodeClient, ethersSigner) {
-  console.log("New PromptAdded event detected!");
-  console.log(`Prompt ID: ${event.args.promptId}`);
-  console.log(`Prompt Callback ID: ${event.args.promptCallbackId}`);
-  console.log(`Sender: ${event.args.sender}`);
-  console.log(`Block number: ${event.blockNumber}`);
+async function processPromptAddedEvent(network, event, messagesRoles, finalAttempt) {
+  const { profile, litNodeClient, signer: ethersSigner } = network;
+  const key = promptKey(profile.name, event.args.promptId);
+  const log = eventLogger(network, key, event);
+  const sessionSigs = await ensureValidSession(litNodeClient, ethersSigner);
 
+  log.info("Executing Lit Action", { blockNumber: event.blockNumber });
+  ledger.record(key, { state: STATES.EXECUTING, attempts: (ledger.get(key).attempts || 0) + 1 });
+  const litActionCode = fs.readFileSync(path.join(__dirname, 'litAction.js'), 'utf8');
+  const labels = { network: profile.name, prompt_type: ledger.get(key).promptType || "unknown" };
+  const startedAt = Date.now();
+  let result;
   try {
-    const sessionSigs = await ensureValidSession(litNodeClient, ethersSigner);
-    
-    console.log("Executing Lit Action...");
-    const litActionCode = fs.readFileSync('litAction.js', 'utf8');
-    const result = await litNodeClient.executeJs({
+    result = await litNodeClient.executeJs({
       sessionSigs,
       code: litActionCode,
       jsParams: {
         messagesRoles: messagesRoles,
         promptId: event.args.promptId,
         promptCallbackId: event.args.promptCallbackId,
+        secrets: encryptedSecrets.get(profile.litNetwork),
+        chainId: profile.chainId,
+        rpcUrl: profile.rpcUrl,
+        oracleAddress: profile.oracleAddress,
+        network: profile.name,
+        sender: event.args.sender,
+        logLevel: process.env.LOG_LEVEL || "info",
+        logPayloads: LOG_PAYLOADS,
+        contextStrategy: profile.contextStrategy,
+        contextWindows: profile.contextWindows,
+        oversizePolicy: profile.oversizePolicy,
+        maxResponseGas: profile.maxResponseGas,
+        finalAttempt,
       },
     });
-    console.log("Lit Action executed successfully. Result:", result);
+  } catch (error) {
+    metrics.litExecutionFailures.inc({ ...labels, error_class: classifyError(error) });
+    throw error;
+  }
+  metrics.litExecutionDuration.observe(labels, (Date.now() - startedAt) / 1000);
+  log.info("Lit Action executed", { durationMs: Date.now() - startedAt });
+  log.debug("Lit Action result", { response: result.response, logs: result.logs });
+
+  const response = parseLitActionResponse(result);
+  const { aiResponse, errorMessage, txHash, context, oversize, transientError } = response;
+  recordLlmMetrics(profile.name, response);
+  if (context && context.droppedTurns > 0) {
+    log.info("Conversation trimmed to fit the context window", { ...context });
+  }
+  if (oversize) {
+    log.warn("Response was too large to submit", { ...oversize });
+  }
+  if (errorMessage) {
+    log.error("Lit Action reported an error", { errorMessage });
+  }
+  if (!txHash) {
+    ledger.record(key, { result: aiResponse, oversize, llmError: errorMessage });
+    const error = new Error(transientError || errorMessage || "Lit Action did not submit addResponse");
+    error.errorClass = transientError ? ERROR_CLASSES.TRANSIENT : ERROR_CLASSES.PERMANENT;
+    throw error;
+  }
+  ledger.record(key, { state: STATES.SUBMITTED, result: aiResponse, oversize, llmError: errorMessage, txHash });
+  return txHash;
+}
+
+/**
+ * Fetches the messages for a PromptAdded event and hands them to the Lit Action,
+ * retrying transient failures
+ * @param {NetworkContext} network - The network the event was emitted on
+ * @param {Object} event - The PromptAdded event
+ * @returns {Promise<void>}
+ */
+async function handlePromptAddedEvent(network, event) {
+  const { profile, contract } = network;
+  const key = promptKey(profile.name, event.args.promptId);
+  const log = eventLogger(network, key, event);
+  ledger.record(key, {
+    state: STATES.RECEIVED,
+    network: profile.name,
+    promptId: event.args.promptId,
+    promptCallbackId: event.args.promptCallbackId,
+    sender: event.args.sender,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+  });
+
+  try {
+    const txHash = await withRetry(async (attempt) => {
+      // An earlier attempt may have submitted the response before failing
+      if (attempt > 1 && await contract.isPromptProcessed(event.args.promptId)) {
+        ledger.record(key, { state: STATES.CONFIRMED, note: "Processed on-chain by an earlier attempt" });
+        return null;
+      }
+      ledger.record(key, { promptType: await contract.promptType(event.args.promptId) });
+      log.debug("Getting messages");
+      const messagesRoles = await contract.getMessagesAndRoles(event.args.promptId, event.args.promptCallbackId);
+      log.debug("Messages retrieved", { messagesRoles });
+      return await processPromptAddedEvent(network, event, messagesRoles, attempt >= RETRY_MAX_ATTEMPTS);
+    }, { onRetry: onRetryFor(network, key), sleep: backoffFor(key) });
 
-    if (result.response) {
-      console.log("Lit Action response:");
-      console.log(JSON.stringify(result.response, null, 2));
+    if (txHash) {
+      await confirmWithRetry(network, key, txHash);
     }
   } catch (error) {
-    console.error("Error during Lit Action execution:", error);
-    if (error.message && error.message.includes("Invalid sessionSigs")) {
-      console.log("Session signature error detected, attempting to renew...");
-      await getNewSessionSigs(litNodeClient, ethersSigner);
-      // Retry the operation once with new session
-      await processPromptAddedEvent(event, messagesRoles, litNodeClient, ethersSigner);
+    log.error("Error processing PromptAdded event", { error });
+    recordFailure(key, error);
+  }
+}
+
+/**
+ * Handles a FunctionAdded event by running the registered tool and submitting
+ * its output (or an error message) through addFunctionResponse
+ * @param {NetworkContext} network - The network the event was emitted on
+ * @param {Object} event - The FunctionAdded event
+ * @returns {Promise<void>}
+ */
+async function handleFunctionAddedEvent(network, event) {
+  const { profile, contract, signer: ethersSigner } = network;
+  const { functionId, functionCallbackId } = event.args;
+  const key = functionKey(profile.name, functionId);
+  const log = eventLogger(network, key, event);
+  log.info("Handling FunctionAdded event");
+
+  try {
+    const txHash = await withRetry(async () => {
+      if (await contract.isFunctionProcessed(functionId)) {
+        log.info("Function call already processed, skipping");
+        metrics.eventsSkipped.inc({ network: profile.name, event: "FunctionAdded", reason: "processed" });
+        if (ledger.get(key)) {
+          ledger.record(key, { state: STATES.CONFIRMED, note: "Already processed on-chain" });
+        }
+        return null;
+      }
+
+      const functionType = await contract.functionTypes(functionId);
+      const functionInput = await contract.functionInputs(functionId);
+      ledger.record(key, {
+        state: STATES.RECEIVED,
+        network: profile.name,
+        functionId,
+        functionCallbackId,
+        functionType,
+        sender: event.args.sender,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+      });
+
+      log.info("Executing tool", { functionType });
+      ledger.record(key, { state: STATES.EXECUTING, attempts: (ledger.get(key).attempts || 0) + 1 });
+      const { response, error } = await executeTool(functionType, functionInput);
+      if (error) {
+        log.error("Tool execution failed", { functionType, toolError: error });
+      }
+
+      const tx = await contract.connect(ethersSigner).addFunctionResponse(functionId, functionCallbackId, response, error);
+      ledger.record(key, { state: STATES.SUBMITTED, result: response, toolError: error, txHash: tx.hash });
+      return tx.hash;
+    }, { onRetry: onRetryFor(network, key), sleep: backoffFor(key) });
+
+    if (txHash) {
+      await confirmWithRetry(network, key, txHash);
     }
+  } catch (error) {
+    log.error("Error processing FunctionAdded event", { error });
+    recordFailure(key, error);
   }
 }
 
 /**
- * Initializes and starts the blockchain event listener
- * @param {ethers.Contract} contract - The initialized contract instance
- * @param {ethers.providers.Provider} provider - The blockchain provider
- * @param {LitNodeClient} litNodeClient - The initialized Lit Protocol client
- * @param {HDNodeWallet} ethersSigner - Ethereum signer for authentication
+ * Handles a KnowledgeBaseIndexRequestAdded event by indexing the knowledge base and
+ * submitting the index CID through addKnowledgeBaseIndex. Failures are reported through
+ * the `error` argument so the oracle records them in `kbIndexingRequestErrors`.
+ * @param {NetworkContext} network - The network the event was emitted on
+ * @param {Object} event - The KnowledgeBaseIndexRequestAdded event
  * @returns {Promise<void>}
  */
-async function startEventListener(contract, provider, litNodeClient, ethersSigner) {
-  console.log("Starting event listener...");
-  const latestBlock = await provider.getBlockNumber();
-  console.log(`Current block number: ${latestBlock}`);
+async function handleKnowledgeBaseIndexRequest(network, event) {
+  const { profile, contract, signer: ethersSigner } = network;
+  const kbIndexingRequestId = event.args.id;
+  const key = kbIndexKey(profile.name, kbIndexingRequestId);
+  const log = eventLogger(network, key, event);
+  log.info("Handling KnowledgeBaseIndexRequestAdded event");
+
+  try {
+    const txHash = await withRetry(async () => {
+      if (await contract.isKbIndexingRequestProcessed(kbIndexingRequestId)) {
+        log.info("Indexing request already processed, skipping");
+        metrics.eventsSkipped.inc({ network: profile.name, event: "KnowledgeBaseIndexRequestAdded", reason: "processed" });
+        if (ledger.get(key)) {
+          ledger.record(key, { state: STATES.CONFIRMED, note: "Already processed on-chain" });
+        }
+        return null;
+      }
+
+      const cid = await contract.kbIndexingRequests(kbIndexingRequestId);
+      ledger.record(key, {
+        state: STATES.RECEIVED,
+        network: profile.name,
+        kbIndexingRequestId,
+        cid,
+        sender: event.args.sender,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+      });
+
+      log.info("Indexing knowledge base", { cid });
+      ledger.record(key, { state: STATES.EXECUTING, attempts: (ledger.get(key).attempts || 0) + 1 });
+      let indexCid = "";
+      let indexError = "";
+      try {
+        indexCid = await indexKnowledgeBase(cid);
+        log.info("Knowledge base indexed", { cid, indexCid });
+      } catch (error) {
+        indexError = error.message || String(error);
+        log.error("Indexing failed", { cid, error });
+      }
+
+      const tx = await contract.connect(ethersSigner).addKnowledgeBaseIndex(kbIndexingRequestId, indexCid, indexError);
+      ledger.record(key, { state: STATES.SUBMITTED, result: indexCid, indexError, txHash: tx.hash });
+      return tx.hash;
+    }, { onRetry: onRetryFor(network, key), sleep: backoffFor(key) });
+
+    if (txHash) {
+      await confirmWithRetry(network, key, txHash);
+    }
+  } catch (error) {
+    log.error("Error processing KnowledgeBaseIndexRequestAdded event", { error });
+    recordFailure(key, error);
+  }
+}
+
+/**
+ * Handles a KnowledgeBaseQueryAdded event by searching the knowledge base's index and
+ * submitting the matched documents through addKnowledgeBaseQueryResponse
+ * @param {NetworkContext} network - The network the event was emitted on
+ * @param {Object} event - The KnowledgeBaseQueryAdded event
+ * @returns {Promise<void>}
+ */
+async function handleKnowledgeBaseQuery(network, event) {
+  const { profile, contract, signer: ethersSigner } = network;
+  const { kbQueryId } = event.args;
+  const key = kbQueryKey(profile.name, kbQueryId);
+  const log = eventLogger(network, key, event);
+  log.info("Handling KnowledgeBaseQueryAdded event");
+
+  try {
+    const txHash = await withRetry(async () => {
+      if (await contract.isKbQueryProcessed(kbQueryId)) {
+        log.info("Knowledge base query already processed, skipping");
+        metrics.eventsSkipped.inc({ network: profile.name, event: "KnowledgeBaseQueryAdded", reason: "processed" });
+        if (ledger.get(key)) {
+          ledger.record(key, { state: STATES.CONFIRMED, note: "Already processed on-chain" });
+        }
+        return null;
+      }
+
+      const { cid, query, num_documents } = await contract.kbQueries(kbQueryId);
+      const kbQueryCallbackId = await contract.kbQueryCallbackIds(kbQueryId);
+      ledger.record(key, {
+        state: STATES.RECEIVED,
+        network: profile.name,
+        kbQueryId,
+        kbQueryCallbackId,
+        cid,
+        sender: event.args.sender,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+      });
 
-  contract.on("PromptAdded", async (promptId, promptCallbackId, sender, event) => {
-    if (event.blockNumber > latestBlock) {
+      ledger.record(key, { state: STATES.EXECUTING, attempts: (ledger.get(key).attempts || 0) + 1 });
+      let documents = [];
+      let queryError = "";
       try {
-        console.log("Attempting to get messages...");
-        let messagesRoles = await contract.getMessagesAndRoles(promptId, promptCallbackId);
-        console.log("Messages retrieved successfully:", messagesRoles);
-        await processPromptAddedEvent(event, messagesRoles, litNodeClient, ethersSigner);
+        const indexCid = await contract.kbIndexes(cid);
+        if (!indexCid) {
+          throw new Error(`No index recorded for knowledge base ${cid}`);
+        }
+        documents = await queryKnowledgeBase(indexCid, query, num_documents);
+        log.info("Knowledge base query answered", { cid, documentCount: documents.length });
       } catch (error) {
-        console.error("Error processing PromptAdded event:", error);
+        queryError = error.message || String(error);
+        log.error("Knowledge base query failed", { cid, error });
+      }
+
+      const tx = await contract.connect(ethersSigner).addKnowledgeBaseQueryResponse(kbQueryId, kbQueryCallbackId, documents, queryError);
+      ledger.record(key, { state: STATES.SUBMITTED, result: documents.length, queryError, txHash: tx.hash });
+      return tx.hash;
+    }, { onRetry: onRetryFor(network, key), sleep: backoffFor(key) });
+
+    if (txHash) {
+      await confirmWithRetry(network, key, txHash);
+    }
+  } catch (error) {
+    log.error("Error processing KnowledgeBaseQueryAdded event", { error });
+    recordFailure(key, error);
+  }
+}
+
+/**
+ * Looks up the account that sent the transaction emitting an event. The event's own
+ * `sender` is the callback contract, so this is what identifies the requesting user.
+ * @param {NetworkContext} network - The network the event was emitted on
+ * @param {Object} event - The oracle event
+ * @returns {Promise<string>} The originating address, or the callback contract when the lookup fails
+ */
+async function resolveOrigin(network, event) {
+  try {
+    const tx = await network.provider.getTransaction(event.transactionHash);
+    if (tx) {
+      return tx.from;
+    }
+  } catch (error) {
+    logger.warn("Could not look up the event's transaction", {
+      network: network.profile.name,
+      transactionHash: event.transactionHash,
+      error,
+    });
+  }
+  return event.args.sender;
+}
+
+/**
+ * @param {string} key - Ledger key of a work item
+ * @returns {boolean} Whether the item is being queued, is waiting or is running
+ */
+function isScheduled(key) {
+  return schedulingKeys.has(key) || workQueue.has(key);
+}
+
+/**
+ * Queues an oracle event for execution. Jobs are accounted to the originating account
+ * and to the callback contract, so the queue can share capacity fairly between them.
+ * @param {NetworkContext} network - The network the event was emitted on
+ * @param {string} key - Ledger key of the work item
+ * @param {Object} event - The oracle event
+ * @param {function(NetworkContext, Object): Promise<void>} handler - Handler executing the event
+ * @returns {Promise<void>} Resolves once the handler has finished
+ */
+async function scheduleWork(network, key, event, handler) {
+  if (isScheduled(key)) {
+    eventLogger(network, key, event).info("Already queued or being processed, skipping");
+    metrics.eventsSkipped.inc({ network: network.profile.name, event: event.event || "unknown", reason: "duplicate" });
+    return;
+  }
+  // Reserve the key while the origin is looked up, so a duplicate arriving meanwhile is skipped
+  schedulingKeys.add(key);
+  let origin;
+  try {
+    origin = await resolveOrigin(network, event);
+  } finally {
+    schedulingKeys.delete(key);
+  }
+  await workQueue.enqueue({
+    key,
+    sender: `${network.profile.name}:${origin}`,
+    callback: `${network.profile.name}:${event.args.sender}`,
+    run: () => handler(network, event),
+    payload: { network, event },
+  });
+}
+
+/**
+ * Resumes work items the ledger shows as unfinished from a previous run.
+ * Submitted work is confirmed from its transaction receipt; work that was received
+ * or executing is queued again unless the oracle already marks it processed.
+ * @param {NetworkContext} network - The network whose ledger entries are resumed
+ * @returns {Promise<void>}
+ */
+async function resumeUnfinishedWork(network) {
+  const { profile, contract } = network;
+  const unfinished = ledger.unfinished().filter((entry) => entry.network === profile.name);
+  if (unfinished.length === 0) {
+    return;
+  }
+  logger.info("Resuming unfinished ledger entries", { network: profile.name, count: unfinished.length });
+
+  for (const entry of unfinished) {
+    try {
+      if (entry.state === STATES.SUBMITTED && entry.txHash) {
+        await confirmWithRetry(network, entry.key, entry.txHash);
+        continue;
+      }
+      const kind = WORK_KINDS[keyKind(entry.key)];
+      if (!kind) {
+        workLogger(entry.key).warn("Unknown kind of work item, not resuming");
+        continue;
+      }
+      if (await kind.isProcessed(contract, entry)) {
+        ledger.record(entry.key, { state: STATES.CONFIRMED, note: "Already processed on-chain when resumed" });
+        continue;
+      }
+      scheduleWork(network, entry.key, kind.event(entry), kind.handler);
+    } catch (error) {
+      workLogger(entry.key).error("Error resuming work item", { error });
+    }
+  }
+}
+
+/**
+ * Replays PromptAdded events between the persisted cursor and the chain head.
+ * Pages through the range with getLogs and keeps going until it reaches the head,
+ * so events mined while backfilling are picked up too.
+ * @param {NetworkContext} network - The network to backfill
+ * @param {number} fromBlock - First block to scan
+ * @param {function(Object): void} dispatch - Queues each unprocessed event
+ * @param {function(Object): void} onScanned - Called for every event scanned, processed or not
+ * @returns {Promise<number>} The last block that was scanned
+ */
+async function backfillPromptAddedEvents(network, fromBlock, dispatch, onScanned) {
+  const { profile, provider, contract } = network;
+  let headBlock = await provider.getBlockNumber();
+  let nextBlock = fromBlock;
+  const log = logger.child({ network: profile.name });
+  log.info("Backfilling PromptAdded events", { fromBlock, toBlock: headBlock });
+
+  while (nextBlock <= headBlock && !shuttingDown) {
+    const toBlock = Math.min(nextBlock + BACKFILL_PAGE_SIZE - 1, headBlock);
+    const events = await contract.queryFilter(contract.filters.PromptAdded(), nextBlock, toBlock);
+    log.info("Scanned blocks for PromptAdded events", { fromBlock: nextBlock, toBlock, count: events.length });
+
+    for (const event of events) {
+      onScanned(event);
+      metrics.eventsReceived.inc({ network: profile.name, event: "PromptAdded" });
+      if (await contract.isPromptProcessed(event.args.promptId)) {
+        log.info("Skipping already processed prompt", { promptId: event.args.promptId });
+        metrics.eventsSkipped.inc({ network: profile.name, event: "PromptAdded", reason: "processed" });
+        continue;
       }
+      dispatch(event);
+    }
+
+    nextBlock = toBlock + 1;
+    if (nextBlock > headBlock) {
+      headBlock = await provider.getBlockNumber();
+    }
+  }
+
+  log.info("Backfill complete", { toBlock: nextBlock - 1 });
+  return nextBlock - 1;
+}
+
+/**
+ * Initializes and starts the blockchain event listener for one network.
+ * Live events come from an OracleSubscription (see subscription.js), which pushes them
+ * over a WebSocket or polls for them and also drives the confirmation tracker's block
+ * checks. The live subscription is registered before backfilling starts and buffers its events
+ * until the backfill has caught up, so nothing is dropped during the handover. Events
+ * in the backfilled range that also arrive live are dispatched only once.
+ * Every event waits for the network's confirmation depth before it is queued, and
+ * events whose log the provider reports as removed are cancelled.
+ * @param {NetworkContext} network - The network to listen on
+ * @returns {Promise<void>}
+ */
+async function startEventListener(network) {
+  const { profile, provider, contract } = network;
+  const log = logger.child({ network: profile.name });
+  log.info("Starting event listener");
+  const cursor = new BlockCursor(cursorFileFor(profile.name));
+  /** @type {Set<string>} Events seen by the backfill, dispatched or skipped, keyed by transaction hash and log index */
+  const backfilledEvents = new Set();
+  /** @type {Array<Object>} Live events received while the backfill is still running */
+  const bufferedEvents = [];
+  let backfilledToBlock = null;
+
+  const tracker = new ConfirmationTracker({
+    provider,
+    contract,
+    confirmations: profile.confirmations,
+    name: profile.name,
+  });
+
+  const eventKey = (event) => ConfirmationTracker.keyOf(event);
+  const promptKeyOf = (event) => promptKey(profile.name, event.args.promptId);
+  const functionKeyOf = (event) => functionKey(profile.name, event.args.functionId);
+  const kbIndexKeyOf = (event) => kbIndexKey(profile.name, event.args.id);
+  const kbQueryKeyOf = (event) => kbQueryKey(profile.name, event.args.kbQueryId);
+
+  // PromptAdded events still waiting for confirmations are not returned: the cursor has
+  // not passed them, so the next run's backfill finds them again
+  network.stopListening = () => {
+    subscription.stop();
+    const keyOf = {
+      FunctionAdded: functionKeyOf,
+      KnowledgeBaseIndexRequestAdded: kbIndexKeyOf,
+      KnowledgeBaseQueryAdded: kbQueryKeyOf,
+    };
+    return tracker.drain()
+      .filter((event) => keyOf[event.event])
+      .map((event) => ({ key: keyOf[event.event](event), event }));
+  };
+
+  /**
+   * Queues an event once it is confirmed
+   * @param {Object} event - The oracle event
+   * @param {function(Object): string} keyOf - Builds the event's ledger key
+   * @param {function(NetworkContext, Object): Promise<void>} handler - Handler executing the event
+   * @param {function(): void} [onSettled] - Called once the event was handled or cancelled
+   */
+  const schedule = (event, keyOf, handler, onSettled = () => {}) => {
+    tracker.track(
+      event,
+      (confirmed) => scheduleWork(network, keyOf(confirmed), confirmed, handler).finally(onSettled),
+      (cancelled) => {
+        metrics.eventsSkipped.inc({ network: profile.name, event: cancelled.event, reason: "reorged" });
+        onSettled();
+      }
+    );
+  };
+
+  /**
+   * Cancels the work for an event whose log was removed by a reorganization
+   * @param {Object} event - The removed event
+   * @param {function(Object): string} keyOf - Builds the event's ledger key
+   */
+  const cancelRemoved = (event, keyOf) => {
+    const key = keyOf(event);
+    const eventLog = eventLogger(network, key, event);
+    if (tracker.remove(event)) {
+      eventLog.info("Log was removed by a chain reorganization, cancelled its work");
+    } else if (workQueue.cancel(key)) {
+      eventLog.info("Log was removed by a chain reorganization, cancelled its work");
+      metrics.eventsSkipped.inc({ network: profile.name, event: event.event, reason: "reorged" });
     } else {
-      console.log(`Skipping old event from block ${event.blockNumber}`);
+      eventLog.warn("Log was removed by a chain reorganization after its work started");
+    }
+  };
+
+  const dispatch = (event) => {
+    cursor.begin(event.blockNumber);
+    schedule(event, promptKeyOf, handlePromptAddedEvent, () => cursor.complete(event.blockNumber));
+  };
+
+  const dispatchLive = (event) => {
+    if (event.removed) {
+      cancelRemoved(event, promptKeyOf);
+      return;
+    }
+    metrics.eventsReceived.inc({ network: profile.name, event: "PromptAdded" });
+    if (event.blockNumber <= backfilledToBlock && backfilledEvents.has(eventKey(event))) {
+      log.info("Skipping event already handled by backfill", { blockNumber: event.blockNumber, promptId: event.args.promptId });
+      metrics.eventsSkipped.inc({ network: profile.name, event: "PromptAdded", reason: "duplicate" });
+      return;
     }
+    dispatch(event);
+  };
+
+  /** @type {Object<string, function(Object): void>} Live event handlers by event name */
+  const liveHandlers = {
+    PromptAdded: (event) => {
+      if (backfilledToBlock === null) {
+        bufferedEvents.push(event);
+        return;
+      }
+      dispatchLive(event);
+    },
+    FunctionAdded: (event) => {
+      if (event.removed) {
+        cancelRemoved(event, functionKeyOf);
+        return;
+      }
+      metrics.eventsReceived.inc({ network: profile.name, event: "FunctionAdded" });
+      schedule(event, functionKeyOf, handleFunctionAddedEvent);
+    },
+    KnowledgeBaseIndexRequestAdded: (event) => {
+      if (event.removed) {
+        cancelRemoved(event, kbIndexKeyOf);
+        return;
+      }
+      metrics.eventsReceived.inc({ network: profile.name, event: "KnowledgeBaseIndexRequestAdded" });
+      schedule(event, kbIndexKeyOf, handleKnowledgeBaseIndexRequest);
+    },
+    KnowledgeBaseQueryAdded: (event) => {
+      if (event.removed) {
+        cancelRemoved(event, kbQueryKeyOf);
+        return;
+      }
+      metrics.eventsReceived.inc({ network: profile.name, event: "KnowledgeBaseQueryAdded" });
+      schedule(event, kbQueryKeyOf, handleKnowledgeBaseQuery);
+    },
+  };
+
+  const subscription = new OracleSubscription({
+    name: profile.name,
+    provider,
+    contract,
+    chainId: profile.chainId,
+    wsUrl: profile.wsUrl,
+    pollIntervalMs: profile.pollIntervalMs,
+    stallTimeoutMs: profile.stallTimeoutMs,
+    pageSize: BACKFILL_PAGE_SIZE,
+    onEvent: (event) => {
+      const handler = liveHandlers[event.event];
+      if (handler) {
+        handler(event);
+      }
+    },
+    onBlock: (blockNumber) => tracker.handleBlock(blockNumber),
+  });
+  network.subscription = subscription;
+
+  const latestBlock = await provider.getBlockNumber();
+  log.info("Current block number", { blockNumber: latestBlock });
+  subscription.start(latestBlock + 1);
+
+  let fromBlock = latestBlock + 1;
+  if (cursor.value !== null) {
+    fromBlock = cursor.value + 1;
+  } else if (profile.backfillFromBlock !== null) {
+    fromBlock = profile.backfillFromBlock;
+  }
+
+  backfilledToBlock = await backfillPromptAddedEvents(network, fromBlock, dispatch, (event) => {
+    backfilledEvents.add(eventKey(event));
   });
+  cursor.advanceTo(backfilledToBlock);
+
+  for (const event of bufferedEvents.splice(0)) {
+    dispatchLive(event);
+  }
+
+  log.info("Event listener is active and waiting for new oracle events");
+}
+
+/**
+ * Rebuilds the oracle event of a work item from its ledger entry
+ * @param {Object} entry - Ledger entry of the work item
+ * @param {Object} args - Event arguments identifying the item
+ * @returns {Object} Event with the fields the handlers use
+ */
+function eventFromEntry(entry, args) {
+  return {
+    args: { ...args, sender: entry.sender },
+    blockNumber: entry.blockNumber,
+    transactionHash: entry.transactionHash,
+  };
+}
 
-  // Set up periodic session renewal check
-  setInterval(async () => {
+/**
+ * @typedef {Object} WorkKind
+ * @property {function(Object): Object} event - Rebuilds the oracle event from a ledger entry
+ * @property {function(NetworkContext, Object): Promise<void>} handler - Handler executing the event
+ * @property {function(ethers.Contract, Object): Promise<boolean>} isProcessed - Whether the oracle
+ *   already marks the entry's work item processed
+ */
+
+/** @type {Object<string, WorkKind>} Work item kinds, keyed on the kind segment of the ledger key */
+const WORK_KINDS = {
+  prompt: {
+    event: (entry) => eventFromEntry(entry, {
+      promptId: ethers.BigNumber.from(entry.promptId),
+      promptCallbackId: ethers.BigNumber.from(entry.promptCallbackId),
+    }),
+    handler: handlePromptAddedEvent,
+    isProcessed: (contract, entry) => contract.isPromptProcessed(entry.promptId),
+  },
+  function: {
+    event: (entry) => eventFromEntry(entry, {
+      functionId: ethers.BigNumber.from(entry.functionId),
+      functionCallbackId: ethers.BigNumber.from(entry.functionCallbackId),
+    }),
+    handler: handleFunctionAddedEvent,
+    isProcessed: (contract, entry) => contract.isFunctionProcessed(entry.functionId),
+  },
+  kbIndex: {
+    event: (entry) => eventFromEntry(entry, { id: ethers.BigNumber.from(entry.kbIndexingRequestId) }),
+    handler: handleKnowledgeBaseIndexRequest,
+    isProcessed: (contract, entry) => contract.isKbIndexingRequestProcessed(entry.kbIndexingRequestId),
+  },
+  kbQuery: {
+    event: (entry) => eventFromEntry(entry, { kbQueryId: ethers.BigNumber.from(entry.kbQueryId) }),
+    handler: handleKnowledgeBaseQuery,
+    isProcessed: (contract, entry) => contract.isKbQueryProcessed(entry.kbQueryId),
+  },
+};
+
+/**
+ * Reports whether every RPC endpoint answers and every Lit client is connected with a valid session
+ * @returns {Promise<Object>} Health report, with `healthy` false when any check fails
+ */
+async function checkHealth() {
+  const report = {
+    healthy: true,
+    initialized: isInitialized,
+    shuttingDown,
+    paused: workQueue.paused,
+    networks: {},
+    lit: {},
+  };
+
+  for (const [name, { provider, subscription, startError }] of networks) {
     try {
-      await ensureValidSession(litNodeClient, ethersSigner);
+      const blockNumber = await Promise.race([
+        provider.getBlockNumber(),
+        new Promise((resolve, reject) => setTimeout(() => reject(new Error("RPC request timed out")), HEALTH_CHECK_TIMEOUT_MS)),
+      ]);
+      report.networks[name] = { rpc: "reachable", blockNumber };
     } catch (error) {
-      console.error("Error during periodic session renewal:", error);
+      report.healthy = false;
+      report.networks[name] = { rpc: "unreachable", error: error.message || String(error) };
+    }
+    if (startError) {
+      report.healthy = false;
+      report.networks[name].startError = startError.message || String(startError);
+    }
+    if (subscription) {
+      report.networks[name].subscription = subscription.status();
+      if (report.networks[name].subscription.stalled) {
+        report.healthy = false;
+      }
+    }
+  }
+
+  for (const [litNetwork, litNodeClient] of litNodeClients) {
+    const session = sessions.get(litNodeClient);
+    const connected = Boolean(litNodeClient.ready);
+    const sessionValid = Boolean(session && session.expirationTime > Date.now());
+    if (!connected || !sessionValid) {
+      report.healthy = false;
+    }
+    report.lit[litNetwork] = {
+      connected,
+      sessionValid,
+      sessionValidUntil: session ? new Date(session.expirationTime).toISOString() : null,
+    };
+  }
+  return report;
+}
+
+/**
+ * Lists queued, in-flight and failed work items
+ * @param {string} [state] - Only list this group: "queued", "running" or "failed"
+ * @returns {Object} Work items by group, with the queue statistics when no group is selected
+ * @throws {HttpError} When the group is unknown
+ */
+function listWork(state) {
+  const jobs = workQueue.list();
+  const groups = {
+    queued: jobs.filter((job) => job.state === "waiting"),
+    running: jobs.filter((job) => job.state === "running"),
+    failed: [...ledger.list({ state: STATES.FAILED }), ...ledger.list({ state: STATES.DEAD })],
+  };
+  if (!state) {
+    return { queue: workQueue.stats(), ...groups };
+  }
+  if (!groups[state]) {
+    throw new HttpError(400, `Unknown state ${state}, expected queued, running or failed`);
+  }
+  return { [state]: groups[state] };
+}
+
+/**
+ * Finds the ledger entries of a prompt
+ * @param {string} promptId - The oracle prompt ID
+ * @param {string} [networkName] - Only consider this network
+ * @returns {Array<Object>} Matching entries
+ * @throws {HttpError} When the ID is invalid or no entry matches
+ */
+function findPromptEntries(promptId, networkName) {
+  if (!/^\d+$/.test(promptId)) {
+    throw new HttpError(400, `Invalid prompt ID ${promptId}`);
+  }
+  const entries = ledger.list().filter((entry) =>
+    entry.promptId === promptId && (!networkName || entry.network === networkName));
+  if (entries.length === 0) {
+    throw new HttpError(404, `No ledger entry for prompt ${promptId}`);
+  }
+  return entries;
+}
+
+/**
+ * Shows what happened to a prompt
+ * @param {string} promptId - The oracle prompt ID
+ * @param {string} [networkName] - Only consider this network
+ * @returns {Object} The prompt's ledger entries, each with its queue status
+ */
+function getPromptDetails(promptId, networkName) {
+  const jobs = new Map(workQueue.list().map((job) => [job.key, job]));
+  return {
+    promptId,
+    entries: findPromptEntries(promptId, networkName).map((entry) => ({ ...entry, queue: jobs.get(entry.key) || null })),
+  };
+}
+
+/**
+ * Queues a work item of any kind again, e.g. after it failed or was moved to the dead-letter list
+ * @param {string} key - Ledger key of the work item
+ * @returns {Promise<Object>} The updated ledger entry
+ * @throws {HttpError} When the work item cannot be replayed
+ */
+async function replayWork(key) {
+  if (shuttingDown) {
+    throw new HttpError(503, "The listener is shutting down");
+  }
+  const entry = ledger.get(key);
+  if (!entry) {
+    throw new HttpError(404, `No ledger entry for ${key}`);
+  }
+  const kind = WORK_KINDS[keyKind(key)];
+  if (!kind) {
+    throw new HttpError(400, `${key} is not a kind of work item that can be replayed`);
+  }
+  const network = networks.get(entry.network);
+  if (!network) {
+    throw new HttpError(400, `Network ${entry.network} is not served by this process`);
+  }
+  if (isScheduled(key)) {
+    throw new HttpError(409, `${key} is already queued or running`);
+  }
+  if (await kind.isProcessed(network.contract, entry)) {
+    throw new HttpError(409, `${key} is already processed on-chain`);
+  }
+
+  workLogger(key).info("Replaying work item on operator request");
+  const updated = ledger.record(key, {
+    state: STATES.RECEIVED,
+    attempts: 0,
+    error: undefined,
+    note: "Replayed through the admin API",
+  });
+  scheduleWork(network, key, kind.event(entry), kind.handler);
+  return updated;
+}
+
+/**
+ * Queues a prompt again, e.g. after it failed or was moved to the dead-letter list
+ * @param {string} promptId - The oracle prompt ID
+ * @param {string} [networkName] - Network of the prompt, required when several networks know the ID
+ * @returns {Promise<Object>} The updated ledger entry
+ * @throws {HttpError} When the prompt cannot be replayed
+ */
+async function replayPrompt(promptId, networkName) {
+  const entries = findPromptEntries(promptId, networkName);
+  if (entries.length > 1) {
+    throw new HttpError(400, `Prompt ${promptId} exists on several networks, select one with ?network=`);
+  }
+  return replayWork(entries[0].key);
+}
+
+/**
+ * Renews the session signatures of every Lit client
+ * @returns {Promise<Object>} New expiration time per Lit network
+ */
+async function renewAllSessions() {
+  const renewed = {};
+  for (const [litNetwork, litNodeClient] of litNodeClients) {
+    await getNewSessionSigs(litNodeClient, relayWallet);
+    renewed[litNetwork] = new Date(sessions.get(litNodeClient).expirationTime).toISOString();
+  }
+  return { renewed };
+}
+
+/** @type {import('./adminServer').AdminHandlers} Callbacks backing the admin server */
+const adminHandlers = {
+  health: checkHealth,
+  ready: () => isInitialized && !shuttingDown,
+  listPrompts: listWork,
+  getPrompt: getPromptDetails,
+  replayPrompt,
+  replayWork,
+  pause: () => {
+    workQueue.pause();
+    logger.info("Work queue paused on operator request");
+    return workQueue.stats();
+  },
+  resume: () => {
+    if (shuttingDown) {
+      throw new HttpError(503, "The listener is shutting down");
     }
-  }, 5 * 60 * 1000); // Check every 5 minutes
+    workQueue.resume();
+    logger.info("Work queue resumed on operator request");
+    return workQueue.stats();
+  },
+  renewSessions: renewAllSessions,
+  metrics: metrics.renderMetrics,
+};
+
+metrics.registerCollector(() => {
+  const stats = workQueue.stats();
+  metrics.queueDepth.set({}, stats.depth);
+  metrics.queueRunning.set({}, stats.running);
+});
 
-  console.log("Event listener is now active and waiting for new PromptAdded events...");
+/**
+ * Resumes a network's unfinished work and starts its event listener. Networks start
+ * independently: a failure is logged and reported by the health check without holding
+ * up or stopping the other networks.
+ * @param {NetworkContext} network - The network to start
+ * @returns {Promise<void>}
+ */
+async function startNetwork(network) {
+  try {
+    await resumeUnfinishedWork(network);
+    if (shuttingDown) return;
+    await startEventListener(network);
+  } catch (error) {
+    network.startError = error;
+    logger.error("Could not start the network, its oracle events are not served", { network: network.profile.name, error });
+  }
 }
 
 /**
- * Initializes the entire system, setting up connections and starting the event listener
+ * Initializes the entire system, setting up connections and starting one event listener
+ * per configured network profile
  * @throws {Error} When initialization fails or required environment variables are missing
  * @returns {Promise<void>}
  */
 async function initialize() {
   if (isInitialized) {
-    console.log("Already initialized, skipping...");
+    logger.info("Already initialized, skipping");
     return;
   }
 
-  console.log("Starting the process...");
+  logger.info("Starting the process");
   
   const mnemonic = process.env.WALLET_MNEMONIC;
   if (!mnemonic) {
     throw new Error("WALLET_MNEMONIC is not set in the .env file");
   }
 
-  console.log("Creating wallet from mnemonic...");
+  const profiles = loadNetworkProfiles();
+  logger.info("Loaded network profiles", { networks: profiles.map((profile) => profile.name) });
+  for (const { litNetwork } of profiles) {
+    if (!encryptedSecrets.has(litNetwork)) {
+      encryptedSecrets.set(litNetwork, LOCAL_EXECUTION ? localSecretParams() : loadEncryptedSecrets(litNetwork));
+    }
+  }
+
   const wallet = ethers.Wallet.fromMnemonic(mnemonic);
-  const fhenixProvider = new ethers.providers.JsonRpcProvider(FHENIX_RPC_URL);
-  const ethersSigner = wallet.connect(fhenixProvider);
-  console.log("Wallet created successfully. Address:", ethersSigner.address);
+  relayWallet = wallet;
+  logger.info("Relay wallet loaded", { address: wallet.address });
 
-  const contract = new ethers.Contract(ORACLE_ADDRESS, ORACLE_ABI, fhenixProvider);
+  try {
+    for (const { litNetwork } of profiles) {
+      if (litNodeClients.has(litNetwork)) continue;
 
-  console.log("Initializing LitNodeClient...");
-  const litNodeClient = new LitNodeClient({
-    litNetwork: LitNetwork.DatilDev,
-    debug: false,
-  });
+      logger.info("Connecting to LitNodeClient", { litNetwork, local: LOCAL_EXECUTION });
+      const litNodeClient = LOCAL_EXECUTION ? new LocalLitClient({ litNetwork }) : new LitNodeClient({
+        litNetwork,
+        debug: false,
+      });
+      await litNodeClient.connect();
+      logger.info("Connected to LitNodeClient", { litNetwork });
 
-  try {
-    console.log("Connecting to LitNodeClient...");
-    await litNodeClient.connect();
-    console.log("Connected to LitNodeClient successfully.");
+      // Get initial session
+      await getNewSessionSigs(litNodeClient, wallet);
+      litNodeClients.set(litNetwork, litNodeClient);
+    }
+
+    for (const profile of profiles) {
+      const provider = new ethers.providers.JsonRpcProvider(profile.rpcUrl, profile.chainId);
+      networks.set(profile.name, {
+        profile,
+        provider,
+        signer: wallet.connect(provider),
+        contract: new ethers.Contract(profile.oracleAddress, ORACLE_ABI, provider),
+        litNodeClient: litNodeClients.get(profile.litNetwork),
+      });
+    }
+
+    if (process.env.ADMIN_PORT) {
+      adminServer = startAdminServer(adminHandlers);
+    }
+
+    ledger.compact();
+    await Promise.all([...networks.values()].map(startNetwork));
+    if (shuttingDown) return;
+    if ([...networks.values()].every((network) => network.startError)) {
+      throw new Error("No network could be started");
+    }
 
-    // Get initial session
-    await getNewSessionSigs(litNodeClient, ethersSigner);
+    // Set up periodic session renewal check
+    timers.push(setInterval(async () => {
+      for (const litNodeClient of litNodeClients.values()) {
+        try {
+          await ensureValidSession(litNodeClient, wallet);
+        } catch (error) {
+          logger.error("Error during periodic session renewal", { error });
+        }
+      }
+    }, 5 * 60 * 1000)); // Check every 5 minutes
 
-    await startEventListener(contract, fhenixProvider, litNodeClient, ethersSigner);
+    timers.push(setInterval(() => {
+      const stats = workQueue.stats();
+      if (stats.depth > 0 || stats.running > 0) {
+        logger.info("Work queue", stats);
+      }
+    }, QUEUE_STATS_INTERVAL_MS));
 
     isInitialized = true;
-    console.log("Script is now running continuously. Press Ctrl+C to stop.");
+    logger.info("Script is now running continuously. Press Ctrl+C to stop.");
   } catch (error) {
-    console.error("An error occurred during the setup process:", error);
+    logger.error("An error occurred during the setup process", { error });
+    process.exit(1);
+  }
+}
+
+/**
+ * Records work that never started in the ledger, so the next run resumes it.
+ * Work that already has a ledger entry is unfinished there and is left as it is.
+ * @param {NetworkContext} network - The network the event was emitted on
+ * @param {string} key - Ledger key of the work item
+ * @param {Object} event - The oracle event
+ */
+function persistUnstartedWork(network, key, event) {
+  if (ledger.get(key)) {
+    return;
+  }
+  const { promptId, promptCallbackId, functionId, functionCallbackId, id, kbQueryId, sender } = event.args;
+  ledger.record(key, {
+    state: STATES.RECEIVED,
+    network: network.profile.name,
+    promptId,
+    promptCallbackId,
+    functionId,
+    functionCallbackId,
+    kbIndexingRequestId: id,
+    kbQueryId,
+    sender,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+    note: "Not started before shutdown",
+  });
+}
+
+/**
+ * Shuts the listener down: stops intake, persists work that has not started, waits up to
+ * SHUTDOWN_TIMEOUT_MS for in-flight work, disconnects the Lit clients, closes the admin
+ * server and exits. The exit status is 0 when everything finished and 1 when work had to
+ * be abandoned or a step failed; a second signal exits immediately.
+ * @param {string} signal - The signal that triggered the shutdown
+ * @returns {Promise<void>}
+ */
+async function shutdown(signal) {
+  const log = logger.child({ signal });
+  if (shuttingDown) {
+    log.warn("Second signal received, exiting without waiting for in-flight work");
     process.exit(1);
   }
+  shuttingDown = true;
+  log.info("Shutting down, no longer accepting new events");
+  let exitCode = 0;
+
+  for (const timer of timers.splice(0)) {
+    clearInterval(timer);
+  }
+
+  for (const network of networks.values()) {
+    if (!network.stopListening) continue;
+    for (const { key, event } of network.stopListening()) {
+      persistUnstartedWork(network, key, event);
+    }
+  }
+
+  workQueue.pause();
+  for (const job of workQueue.clear()) {
+    persistUnstartedWork(job.payload.network, job.key, job.payload.event);
+  }
+
+  const { running } = workQueue.stats();
+  if (running > 0) {
+    log.info("Waiting for in-flight work to finish", { running, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+    let timeout;
+    const drained = await Promise.race([
+      workQueue.onIdle().then(() => true),
+      new Promise((resolve) => {
+        timeout = setTimeout(() => resolve(false), SHUTDOWN_TIMEOUT_MS);
+      }),
+    ]);
+    clearTimeout(timeout);
+    if (!drained) {
+      log.warn("In-flight work did not finish in time, it is resumed on the next start", {
+        keys: workQueue.list().map((job) => job.key),
+      });
+      exitCode = 1;
+    }
+  }
+
+  for (const [litNetwork, litNodeClient] of litNodeClients) {
+    try {
+      await litNodeClient.disconnect();
+    } catch (error) {
+      log.error("Error disconnecting LitNodeClient", { litNetwork, error });
+      exitCode = 1;
+    }
+  }
+
+  if (adminServer) {
+    await new Promise((resolve) => {
+      adminServer.close(resolve);
+      adminServer.closeIdleConnections();
+    });
+  }
+
+  log.info("Shutdown complete", { exitCode });
+  process.exit(exitCode);
+}
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    shutdown(signal).catch((error) => {
+      logger.error("Shutdown failed", { signal, error });
+      process.exit(1);
+    });
+  });
 }
 
 // Add error handling for uncaught exceptions
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
+  logger.error("Uncaught exception", { error });
 });
 
 process.on('unhandledRejection', (error) => {
-  console.error('Unhandled Rejection:', error);
+  logger.error("Unhandled rejection", { error });
 });
 
 // Only call initialize once
 initialize().catch((error) => {
-  console.error("An unhandled error occurred:", error);
+  logger.error("An unhandled error occurred", { error });
   process.exit(1);
 });
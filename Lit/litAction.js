@@ -1,5 +1,17 @@
 /**
- * @fileoverview Lit Action script for handling AI API calls and blockchain interactions
+ * @fileoverview Lit Action script for handling AI API calls and blockchain interactions.
+ * The wallet mnemonic and provider API keys arrive Lit-encrypted in `secrets` (see
+ * encryptSecrets.js) and can only be decrypted by this action's IPFS CID.
+ * Logs are JSON lines carrying the prompt's identifiers, like the listener's; the
+ * optional `network`, `sender`, `logLevel` and `logPayloads` params control them.
+ * Conversations longer than the model's context window are trimmed following the optional
+ * `contextStrategy` param: drop_oldest (the default), keep_first or summarize. The optional
+ * `contextWindows` param sets the windows of models by name prefix.
+ * Responses too large to submit are reduced following the optional `oversizePolicy` param:
+ * truncate (the default), shorten or offload, which needs the ipfsApiUrl secret. The steps
+ * applied are appended to the submitted response's `object` field.
+ * Provider rate limits, 5xx replies and timeouts are left uncommitted for the listener to
+ * retry unless `finalAttempt` is set (or omitted), in which case they are reported on-chain.
  * @requires uses ethers, however not necessary to import as lit protocol has it built in
  * @requires @lit-protocol/lit-node-client
  */
@@ -8,34 +20,292 @@
   /**
    * Main execution function that handles AI API calls and blockchain interactions
    * @async
-   * @returns {Promise<Object>} The AI response object
+   * @returns {Promise<string>} JSON with the AI response object and the addResponse transaction hash
    */
   const go = async () => {
-    console.log('Incoming messagesRoles:', JSON.stringify(messagesRoles, null, 2));
-    
+    /** @type {Object<string, number>} Severity of each log level */
+    const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+    /** @type {number} Lines below this severity are dropped */
+    const minLogLevel = LOG_LEVELS[typeof logLevel !== 'undefined' && logLevel] || LOG_LEVELS.info;
+    /** @type {boolean} Whether payload fields are logged instead of redacted */
+    const includePayloads = typeof logPayloads !== 'undefined' && logPayloads === true;
+    /**
+     * Formats an ID param, which arrives as a BigNumber or its JSON form
+     * @param {Object} value - The ID
+     * @returns {string} The decimal ID
+     */
+    const idToString = (value) => (value && value.hex ? BigInt(value.hex).toString() : String(value));
+    /** @type {Object} Fields added to every log line */
+    const logContext = {
+      network: typeof network !== 'undefined' ? network : undefined,
+      promptId: idToString(promptId),
+      promptCallbackId: idToString(promptCallbackId),
+      sender: typeof sender !== 'undefined' ? sender : undefined
+    };
+    /** @type {Array<string>} Fields that hold conversation or response payloads */
+    const PAYLOAD_FIELDS = ['messages', 'messagesRoles', 'content', 'aiResponse', 'response'];
+
+    /**
+     * Writes a JSON log line. Payload fields are redacted unless logPayloads is set, and
+     * errors are reduced to their name, message, code and stack.
+     * @param {string} level - debug, info, warn or error
+     * @param {string} message - Human-readable message
+     * @param {Object} [fields] - Structured fields
+     */
+    const log = (level, message, fields = {}) => {
+      if (LOG_LEVELS[level] < minLogLevel) return;
+      const line = { level, msg: message, ...logContext };
+      for (const [name, value] of Object.entries(fields)) {
+        if (!includePayloads && PAYLOAD_FIELDS.includes(name)) {
+          line[name] = "[redacted]";
+        } else if (value instanceof Error) {
+          line[name] = { name: value.name, message: value.message, code: value.code, stack: value.stack };
+        } else {
+          line[name] = value;
+        }
+      }
+      const text = JSON.stringify(line);
+      if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+        console.error(text);
+      } else {
+        console.log(text);
+      }
+    };
+
+    log("debug", "Incoming messagesRoles", { messagesRoles });
+
     /**
-     * Transform messagesRoles array into format required by Anthropic API
-     * @type {Array<{role: string, content: string}>}
+     * Decrypts a secret from jsParams.secrets. Decryption only succeeds inside the action
+     * the secret was encrypted for, because the access control conditions require the
+     * current action's IPFS CID. Must run on every node, so never inside runOnce.
+     * @param {string} name - Secret name, e.g. "mnemonic"
+     * @returns {Promise<string>} The plaintext, or "" when the secret was not provided
      */
-    const messages = messagesRoles.map(([role, content]) => ({
-      role: role.toLowerCase(),
-      content: content[0][1]  // Assuming the content is always in this format
-    }));
+    const decryptSecret = async (name) => {
+      const secret = typeof secrets !== 'undefined' && secrets ? secrets[name] : null;
+      if (!secret) return "";
+      return await Lit.Actions.decryptAndCombine({
+        accessControlConditions: [
+          {
+            contractAddress: '',
+            standardContractType: '',
+            chain: 'ethereum',
+            method: '',
+            parameters: [':currentActionIpfsId'],
+            returnValueTest: {
+              comparator: '=',
+              value: Lit.Auth.actionIpfsIds[0]
+            }
+          }
+        ],
+        ciphertext: secret.ciphertext,
+        dataToEncryptHash: secret.dataToEncryptHash,
+        authSig: null,
+        chain: 'ethereum'
+      });
+    };
 
-    // Network configuration
-    const FHENIX_RPC_URL = "https://sepolia-rpc.scroll.io";
-    const mnemonic = "";
-    const provider = new ethers.providers.JsonRpcProvider(FHENIX_RPC_URL);
+    // Network configuration, passed in by the listener from the network profile
+    const mnemonic = await decryptSecret("mnemonic");
+    const provider = new ethers.providers.JsonRpcProvider(rpcUrl, chainId);
     const signer = ethers.Wallet.fromMnemonic(mnemonic).connect(provider);
 
     // Contract configuration
-    const ORACLE_ADDRESS = "0x03d42AB95f54DEe5d3Ce7db984237b340f458988";
+    const ORACLE_ADDRESS = oracleAddress;
+
+    // LLM provider API keys
+    const ANTHROPIC_API_KEY = await decryptSecret("anthropicApiKey");
+    const OPENAI_API_KEY = await decryptSecret("openAiApiKey");
+    const GROQ_API_KEY = await decryptSecret("groqApiKey");
+
+    /**
+     * What to do with a response whose submission would need more gas than allowed:
+     * truncate cuts the content and marks the cut, shorten asks the model again for an
+     * answer that fits, offload stores the full text on IPFS and submits a reference to it.
+     * shorten and offload fall back to truncate when they fail.
+     * @enum {string}
+     */
+    const OVERSIZE_POLICIES = {
+      TRUNCATE: "truncate",
+      SHORTEN: "shorten",
+      OFFLOAD: "offload"
+    };
+    /** @type {string} Policy from the `oversizePolicy` param, truncate when unset or unknown */
+    const oversizePolicyParam = typeof oversizePolicy !== 'undefined' && oversizePolicy ? oversizePolicy : OVERSIZE_POLICIES.TRUNCATE;
+    const OVERSIZE_POLICY = Object.values(OVERSIZE_POLICIES).includes(oversizePolicyParam)
+      ? oversizePolicyParam
+      : OVERSIZE_POLICIES.TRUNCATE;
+    if (OVERSIZE_POLICY !== oversizePolicyParam) {
+      log("warn", "Unknown oversize policy, using truncate", { oversizePolicy: oversizePolicyParam });
+    }
+
+    // IPFS API that oversize responses are offloaded to. The endpoint is a secret too, so the
+    // upload and its credentials cannot be redirected through jsParams.
+    const offloading = OVERSIZE_POLICY === OVERSIZE_POLICIES.OFFLOAD;
+    const IPFS_API_URL = offloading ? await decryptSecret("ipfsApiUrl") : "";
+    const IPFS_API_AUTH = offloading ? await decryptSecret("ipfsApiAuth") : "";
+
+    /**
+     * LLM provider endpoints by provider name. The `llmApiUrls` param may replace them only
+     * when the action runs in the local runner (see localRunner.js), e.g. to reach mock
+     * servers; on the Lit network they stay fixed because the API keys are sent to them.
+     * @type {{anthropic: string, openai: string, groq: string}}
+     */
+    const LLM_API_URLS = {
+      anthropic: 'https://api.anthropic.com/v1/messages',
+      openai: 'https://api.openai.com/v1/chat/completions',
+      groq: 'https://api.groq.com/openai/v1/chat/completions',
+      ...(Lit.Auth.actionIpfsIds[0] === "local" && typeof llmApiUrls !== 'undefined' && llmApiUrls ? llmApiUrls : {})
+    };
+
+    /** @type {number} Milliseconds to wait for an LLM provider before giving up */
+    const LLM_TIMEOUT_MS = 25000;
+    /** @type {boolean} Whether the listener will not retry this prompt, so every failure must be reported on-chain */
+    const FINAL_ATTEMPT = typeof finalAttempt === 'undefined' || finalAttempt !== false;
+    /** @type {number} Maximum length of an errorMessage submitted on-chain */
+    const MAX_ERROR_MESSAGE_LENGTH = 256;
+
+    /**
+     * Error codes reported to consumer contracts at the start of errorMessage,
+     * e.g. "PROVIDER_TIMEOUT: anthropic did not respond within 25000ms"
+     * @enum {string}
+     */
+    const ERROR_CODES = {
+      PROVIDER_ERROR: "PROVIDER_ERROR",
+      PROVIDER_TIMEOUT: "PROVIDER_TIMEOUT",
+      MALFORMED_RESPONSE: "MALFORMED_RESPONSE",
+      SUBMISSION_FAILED: "SUBMISSION_FAILED",
+      UNSUPPORTED_CONTENT: "UNSUPPORTED_CONTENT",
+      CONTEXT_TOO_LONG: "CONTEXT_TOO_LONG",
+      INTERNAL_ERROR: "INTERNAL_ERROR"
+    };
+
+    /**
+     * Error carrying one of the ERROR_CODES
+     */
+    class OracleError extends Error {
+      /**
+       * @param {string} code - One of ERROR_CODES
+       * @param {string} message - Human readable detail
+       * @param {number|null} [status] - HTTP status of the provider reply
+       */
+      constructor(code, message, status = null) {
+        super(message);
+        this.name = "OracleError";
+        this.code = code;
+        /** @type {number|null} HTTP status of the provider reply, when there was one */
+        this.status = status;
+      }
+    }
+
+    /**
+     * Tells whether a provider failure may pass on a later attempt: rate limits, server
+     * errors and timeouts
+     * @param {Error} error - Error thrown while calling the provider
+     * @returns {boolean} Whether the failure is transient
+     */
+    const isTransientProviderError = (error) => error.code === ERROR_CODES.PROVIDER_TIMEOUT
+      || (error.code === ERROR_CODES.PROVIDER_ERROR && (error.status === 429 || error.status >= 500));
+
+    /**
+     * Formats an error for the on-chain errorMessage argument
+     * @param {Error} error - Any error
+     * @returns {string} "<CODE>: <detail>", truncated to MAX_ERROR_MESSAGE_LENGTH
+     */
+    const toErrorMessage = (error) => {
+      const code = error.code && ERROR_CODES[error.code] ? error.code : ERROR_CODES.INTERNAL_ERROR;
+      return `${code}: ${error.message || String(error)}`.slice(0, MAX_ERROR_MESSAGE_LENGTH);
+    };
+
+    /**
+     * Tells whether a failed contract call reverted, as opposed to failing in the RPC,
+     * signer or transaction pool. Bare reverts, custom errors and invalid opcodes count too,
+     * although they carry no reason string.
+     * @param {Error} error - Error thrown by an ethers contract call
+     * @returns {boolean} Whether the call reverted
+     */
+    const isRevert = (error) => error.code === "CALL_EXCEPTION" || error.code === "UNPREDICTABLE_GAS_LIMIT";
+
+    /**
+     * Describes why a contract call reverted
+     * @param {Error} error - Error for which isRevert holds
+     * @returns {string} The revert reason, the custom error's name or "reverted"
+     */
+    const revertReason = (error) => error.reason || error.errorName || "reverted";
+
+    /**
+     * Rejects with PROVIDER_TIMEOUT if a promise does not settle in time
+     * @param {Promise} promise - The pending provider call
+     * @param {string} providerName - Provider name used in the error message
+     * @returns {Promise} The promise's result
+     */
+    const withTimeout = (promise, providerName) => {
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new OracleError(
+          ERROR_CODES.PROVIDER_TIMEOUT, `${providerName} did not respond within ${LLM_TIMEOUT_MS}ms`
+        )), LLM_TIMEOUT_MS);
+      });
+      return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    };
+
+    /**
+     * Sends a JSON request to an LLM provider and parses the reply
+     * @param {string} url - Endpoint URL
+     * @param {Object} headers - Request headers
+     * @param {Object} body - Request body
+     * @returns {Promise<Object>} The parsed API response
+     * @throws {OracleError} PROVIDER_ERROR for error statuses or error objects, MALFORMED_RESPONSE for non-JSON replies
+     */
+    const postJson = async (url, headers, body) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+      });
+      const text = await response.text();
+
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch (e) {
+        if (!response.ok) {
+          throw new OracleError(ERROR_CODES.PROVIDER_ERROR, `HTTP ${response.status}`, response.status);
+        }
+        throw new OracleError(ERROR_CODES.MALFORMED_RESPONSE, "Provider returned invalid JSON");
+      }
+
+      if (!response.ok || parsed.error) {
+        const detail = parsed.error && (parsed.error.message || parsed.error.type || JSON.stringify(parsed.error));
+        throw new OracleError(ERROR_CODES.PROVIDER_ERROR, `HTTP ${response.status}${detail ? `: ${detail}` : ""}`, response.status);
+      }
+      return parsed;
+    };
+
+    /**
+     * Response fields submitted alongside an errorMessage
+     * @type {Object}
+     */
+    const EMPTY_RESPONSE = {
+      id: "",
+      content: "",
+      functionName: "",
+      functionArguments: "",
+      created: 0,
+      model: "",
+      systemFingerprint: "",
+      object: "",
+      completionTokens: 0,
+      promptTokens: 0,
+      totalTokens: 0
+    };
     
     /**
      * @type {Array<Object>} ABI for the Oracle contract
-     * Includes getMessagesAndRoles and addResponse function definitions
+     * Includes getMessagesAndRoles, promptType, the stored request configurations and the
+     * addResponse, addOpenAiResponse and addGroqResponse function definitions
      */
-    const ADD_RESPONSE_ABI = [
+    const ORACLE_ABI = [
       {
         "inputs": [
           {
@@ -168,91 +438,1554 @@
         "outputs": [],
         "stateMutability": "nonpayable",
         "type": "function"
-      }
-    ];
-
-    /**
-     * Execute the Lit Action with AI API call and contract interaction
-     * @returns {Promise<Object>} The result of the AI API call
-     */
-    let result = await Lit.Actions.runOnce({ waitForResponse: true, name: "aiCallerAndContractCall" }, async () => {
-      /**
-       * Make API call to Anthropic's Claude API
-       * @type {Response}
-       */
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': '', // Replace with your Anthropic API key
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: "claude-3-sonnet-20240620",
-          max_tokens: 1000,
-          messages: messages.map(msg => ({
-            role: msg.role === 'assistant' ? 'assistant' : 'user',
-            content: msg.content
-          }))
-        })
-      });
-      
-      /**
-       * @type {Object} The parsed AI response
-       */
-      const aiResponse = await response.json();
-      console.log('AI Response:', aiResponse);
-
-      /**
-       * Initialize contract instance for blockchain interaction
-       * @type {ethers.Contract}
-       */
-      const contractCaller = new ethers.Contract(ORACLE_ADDRESS, ADD_RESPONSE_ABI, signer);
-      
-      /**
-       * Convert prompt IDs to proper number format
-       * @type {number}
-       */
-      let id = promptId.toNumber ? promptId.toNumber() : parseInt(promptId.hex, 16);
-      let callbackId = promptCallbackId.toNumber ? promptCallbackId.toNumber() : parseInt(promptCallbackId.hex, 16);
-
-      // TODO: get prompttype and execute based on prompt type
-      // let promptType = await contractCaller.promptType(callbackId);
-      // "Groq" "default" or "OpenAi"
-      // default is just addResponse as it is already implemented
-      // OpenAi: addOpenAiResponse(promptId, promptCallbackId, ["chatcmpl-123xyz789", "This is a sample response content", "", "", 1699084800, "gpt-4", "fp_12345", "chat.completion", 42, 15, 57], "")
-      // Groq: addGroqResponse (same but tuple is ["groq-123xyz789", "This is a sample Groq API response", 1699084800, "mixtral-8x7b", "fp_groq_12345", "chat.completion", 42, 15, 57], "")
-      
-      try {
-        /**
-         * Call the contract's addResponse function with AI response data
-         * @throws {Error} If the contract call fails
-         */
-        await contractCaller.addResponse(id, callbackId, {
-            id: aiResponse.id,
-            content: aiResponse.content[0].text,
-            functionName: "",
-            functionArguments: "",
-            created: Math.floor(Date.now() / 1000),
-            model: aiResponse.model,
-            systemFingerprint: aiResponse.system_fingerprint || "",
-            object: "chat.completion",
-            completionTokens: aiResponse.usage.output_tokens || 0,
-            promptTokens: aiResponse.usage.input_tokens || 0,
-            totalTokens: (aiResponse.usage.output_tokens || 0) + (aiResponse.usage.input_tokens || 0)
-        }, "");
-        console.log("Contract call successful");
-      } catch (e) {
-        console.error("Error calling addResponse:", e);
-        console.error("Error name:", e.name);
-        console.error("Error message:", e.message);
-        if (e.stack) console.error("Stack trace:", e.stack);
-      }
-
-      return aiResponse;
+      },
+      {
+        "inputs": [
+          {
+            "internalType": "uint256",
+            "name": "promptId",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "promptCallBackId",
+            "type": "uint256"
+          },
+          {
+            "components": [
+              {
+                "internalType": "string",
+                "name": "id",
+                "type": "string"
+              },
+              {
+                "internalType": "string",
+                "name": "content",
+                "type": "string"
+              },
+              {
+                "internalType": "uint64",
+                "name": "created",
+                "type": "uint64"
+              },
+              {
+                "internalType": "string",
+                "name": "model",
+                "type": "string"
+              },
+              {
+                "internalType": "string",
+                "name": "systemFingerprint",
+                "type": "string"
+              },
+              {
+                "internalType": "string",
+                "name": "object",
+                "type": "string"
+              },
+              {
+                "internalType": "uint32",
+                "name": "completionTokens",
+                "type": "uint32"
+              },
+              {
+                "internalType": "uint32",
+                "name": "promptTokens",
+                "type": "uint32"
+              },
+              {
+                "internalType": "uint32",
+                "name": "totalTokens",
+                "type": "uint32"
+              }
+            ],
+            "internalType": "struct IOracle.GroqResponse",
+            "name": "response",
+            "type": "tuple"
+          },
+          {
+            "internalType": "string",
+            "name": "errorMessage",
+            "type": "string"
+          }
+        ],
+        "name": "addGroqResponse",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {
+            "internalType": "uint256",
+            "name": "promptId",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "promptCallBackId",
+            "type": "uint256"
+          },
+          {
+            "components": [
+              {
+                "internalType": "string",
+                "name": "id",
+                "type": "string"
+              },
+              {
+                "internalType": "string",
+                "name": "content",
+                "type": "string"
+              },
+              {
+                "internalType": "string",
+                "name": "functionName",
+                "type": "string"
+              },
+              {
+                "internalType": "string",
+                "name": "functionArguments",
+                "type": "string"
+              },
+              {
+                "internalType": "uint64",
+                "name": "created",
+                "type": "uint64"
+              },
+              {
+                "internalType": "string",
+                "name": "model",
+                "type": "string"
+              },
+              {
+                "internalType": "string",
+                "name": "systemFingerprint",
+                "type": "string"
+              },
+              {
+                "internalType": "string",
+                "name": "object",
+                "type": "string"
+              },
+              {
+                "internalType": "uint32",
+                "name": "completionTokens",
+                "type": "uint32"
+              },
+              {
+                "internalType": "uint32",
+                "name": "promptTokens",
+                "type": "uint32"
+              },
+              {
+                "internalType": "uint32",
+                "name": "totalTokens",
+                "type": "uint32"
+              }
+            ],
+            "internalType": "struct IOracle.OpenAiResponse",
+            "name": "response",
+            "type": "tuple"
+          },
+          {
+            "internalType": "string",
+            "name": "errorMessage",
+            "type": "string"
+          }
+        ],
+        "name": "addOpenAiResponse",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {
+            "internalType": "uint256",
+            "name": "",
+            "type": "uint256"
+          }
+        ],
+        "name": "promptType",
+        "outputs": [
+          {
+            "internalType": "string",
+            "name": "",
+            "type": "string"
+          }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {
+            "internalType": "uint256",
+            "name": "",
+            "type": "uint256"
+          }
+        ],
+        "name": "groqConfigurations",
+        "outputs": [
+          {
+            "internalType": "string",
+            "name": "model",
+            "type": "string"
+          },
+          {
+            "internalType": "int8",
+            "name": "frequencyPenalty",
+            "type": "int8"
+          },
+          {
+            "internalType": "string",
+            "name": "logitBias",
+            "type": "string"
+          },
+          {
+            "internalType": "uint32",
+            "name": "maxTokens",
+            "type": "uint32"
+          },
+          {
+            "internalType": "int8",
+            "name": "presencePenalty",
+            "type": "int8"
+          },
+          {
+            "internalType": "string",
+            "name": "responseFormat",
+            "type": "string"
+          },
+          {
+            "internalType": "uint256",
+            "name": "seed",
+            "type": "uint256"
+          },
+          {
+            "internalType": "string",
+            "name": "stop",
+            "type": "string"
+          },
+          {
+            "internalType": "uint256",
+            "name": "temperature",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "topP",
+            "type": "uint256"
+          },
+          {
+            "internalType": "string",
+            "name": "user",
+            "type": "string"
+          }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {
+            "internalType": "uint256",
+            "name": "",
+            "type": "uint256"
+          }
+        ],
+        "name": "llmConfigurations",
+        "outputs": [
+          {
+            "internalType": "string",
+            "name": "model",
+            "type": "string"
+          },
+          {
+            "internalType": "int8",
+            "name": "frequencyPenalty",
+            "type": "int8"
+          },
+          {
+            "internalType": "string",
+            "name": "logitBias",
+            "type": "string"
+          },
+          {
+            "internalType": "uint32",
+            "name": "maxTokens",
+            "type": "uint32"
+          },
+          {
+            "internalType": "int8",
+            "name": "presencePenalty",
+            "type": "int8"
+          },
+          {
+            "internalType": "string",
+            "name": "responseFormat",
+            "type": "string"
+          },
+          {
+            "internalType": "uint256",
+            "name": "seed",
+            "type": "uint256"
+          },
+          {
+            "internalType": "string",
+            "name": "stop",
+            "type": "string"
+          },
+          {
+            "internalType": "uint256",
+            "name": "temperature",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "topP",
+            "type": "uint256"
+          },
+          {
+            "internalType": "string",
+            "name": "tools",
+            "type": "string"
+          },
+          {
+            "internalType": "string",
+            "name": "toolChoice",
+            "type": "string"
+          },
+          {
+            "internalType": "string",
+            "name": "user",
+            "type": "string"
+          }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {
+            "internalType": "uint256",
+            "name": "",
+            "type": "uint256"
+          }
+        ],
+        "name": "openAiConfigurations",
+        "outputs": [
+          {
+            "internalType": "string",
+            "name": "model",
+            "type": "string"
+          },
+          {
+            "internalType": "int8",
+            "name": "frequencyPenalty",
+            "type": "int8"
+          },
+          {
+            "internalType": "string",
+            "name": "logitBias",
+            "type": "string"
+          },
+          {
+            "internalType": "uint32",
+            "name": "maxTokens",
+            "type": "uint32"
+          },
+          {
+            "internalType": "int8",
+            "name": "presencePenalty",
+            "type": "int8"
+          },
+          {
+            "internalType": "string",
+            "name": "responseFormat",
+            "type": "string"
+          },
+          {
+            "internalType": "uint256",
+            "name": "seed",
+            "type": "uint256"
+          },
+          {
+            "internalType": "string",
+            "name": "stop",
+            "type": "string"
+          },
+          {
+            "internalType": "uint256",
+            "name": "temperature",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "topP",
+            "type": "uint256"
+          },
+          {
+            "internalType": "string",
+            "name": "tools",
+            "type": "string"
+          },
+          {
+            "internalType": "string",
+            "name": "toolChoice",
+            "type": "string"
+          },
+          {
+            "internalType": "string",
+            "name": "user",
+            "type": "string"
+          }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      }
+    ];
+
+    /**
+     * Decodes an oracle-encoded decimal. The oracle stores these as integers scaled by
+     * `divisor`, with anything outside [min, max] meaning "not set".
+     * @param {ethers.BigNumber|number} value - Stored value
+     * @param {number} min - Smallest valid stored value
+     * @param {number} max - Largest valid stored value
+     * @param {number} divisor - Scale factor
+     * @returns {number|null} The decoded value, or null when not set
+     */
+    const decodeScaled = (value, min, max, divisor) => {
+      const stored = ethers.BigNumber.from(value);
+      if (stored.lt(min) || stored.gt(max)) return null;
+      return stored.toNumber() / divisor;
+    };
+
+    /**
+     * Parses an optional JSON string field
+     * @param {string} value - Stored JSON string, empty for null
+     * @returns {*} The parsed value, or null when empty or invalid
+     */
+    const parseJsonField = (value) => {
+      if (!value) return null;
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        log("warn", "Ignoring invalid JSON configuration value", { length: value.length });
+        return null;
+      }
+    };
+
+    /**
+     * Decoded configuration of a prompt created without one, using the provider defaults
+     * @type {Object}
+     */
+    const UNSET_CONFIG = {
+      model: null,
+      maxTokens: null,
+      temperature: null,
+      topP: null,
+      frequencyPenalty: null,
+      presencePenalty: null,
+      logitBias: null,
+      responseFormat: null,
+      seed: null,
+      stop: null,
+      tools: null,
+      toolChoice: null,
+      user: null
+    };
+
+    /**
+     * Checks for the zero struct the oracle returns for prompts created without a
+     * configuration (e.g. by createLlmCall(uint)). Its zeros would otherwise decode to
+     * temperature 0, topP 0 and penalties 0.
+     * @param {Object} config - The stored configuration struct
+     * @returns {boolean} Whether no field is set
+     */
+    const isUnsetConfig = (config) => {
+      const numbers = [config.maxTokens, config.temperature, config.topP, config.frequencyPenalty, config.presencePenalty, config.seed];
+      const strings = [config.model, config.logitBias, config.responseFormat, config.stop, config.tools, config.toolChoice, config.user];
+      return numbers.every(value => !value || ethers.BigNumber.from(value).isZero()) && strings.every(value => !value);
+    };
+
+    /**
+     * Decodes a request configuration stored on the oracle (LlmRequest, OpenAiRequest or
+     * GroqRequest) into API parameters: temperature is stored as 0-20 for 0-2.0, topP as a
+     * 0-100 percentage, penalties as -20-20 for -2.0-2.0, and 0 or "" means not set.
+     * An all-zero struct means no configuration and decodes to UNSET_CONFIG.
+     * @param {Object} config - The stored configuration struct
+     * @returns {Object} Decoded parameters, null where not set
+     */
+    const decodeConfig = (config) => {
+      if (isUnsetConfig(config)) {
+        return { ...UNSET_CONFIG };
+      }
+      const seed = ethers.BigNumber.from(config.seed);
+      return {
+        model: config.model || null,
+        maxTokens: config.maxTokens > 0 ? config.maxTokens : null,
+        temperature: decodeScaled(config.temperature, 0, 20, 10),
+        topP: decodeScaled(config.topP, 0, 100, 100),
+        frequencyPenalty: decodeScaled(config.frequencyPenalty, -20, 20, 10),
+        presencePenalty: decodeScaled(config.presencePenalty, -20, 20, 10),
+        logitBias: parseJsonField(config.logitBias),
+        responseFormat: parseJsonField(config.responseFormat),
+        seed: seed.isZero() ? null : Number(seed.toString()),
+        stop: config.stop || null,
+        tools: config.tools || null,
+        toolChoice: config.toolChoice || null,
+        user: config.user || null
+      };
+    };
+
+    /**
+     * Drops unset parameters so the provider applies its own defaults
+     * @param {Object} params - Request parameters
+     * @returns {Object} The parameters without null values
+     */
+    const withoutNulls = (params) => Object.fromEntries(
+      Object.entries(params).filter(([, value]) => value !== null && value !== undefined)
+    );
+
+    /**
+     * Builds the sampling parameters of an OpenAI-compatible chat completions request
+     * @param {Object} config - Decoded configuration
+     * @returns {Object} Request parameters
+     */
+    const chatCompletionParams = (config) => withoutNulls({
+      max_tokens: config.maxTokens,
+      temperature: config.temperature,
+      top_p: config.topP,
+      frequency_penalty: config.frequencyPenalty,
+      presence_penalty: config.presencePenalty,
+      response_format: config.responseFormat,
+      seed: config.seed,
+      stop: config.stop,
+      user: config.user
+    });
+
+    /**
+     * Parses the OpenAI-format tools list of a configuration
+     * @param {Object} config - Decoded configuration
+     * @returns {Array<Object>|null} Function tools, or null when tools are unset or disabled
+     */
+    const parseTools = (config) => {
+      if (!config.tools || config.toolChoice === "none") return null;
+      const tools = parseJsonField(config.tools);
+      if (!Array.isArray(tools)) return null;
+      const functionTools = tools.filter(tool => tool.type === "function" && tool.function);
+      return functionTools.length > 0 ? functionTools : null;
+    };
+
+    /**
+     * Builds the tools parameters of an OpenAI-compatible request. The oracle already
+     * stores tools in OpenAI format, so they are passed through.
+     * @param {Object} config - Decoded configuration
+     * @returns {Object} `tools` and `tool_choice`, or nothing when tools are disabled
+     */
+    const chatCompletionTools = (config) => {
+      const tools = parseTools(config);
+      if (!tools) return {};
+      return withoutNulls({
+        tools,
+        tool_choice: parseJsonField(config.toolChoice) || config.toolChoice
+      });
+    };
+
+    /**
+     * Translates OpenAI-format tools and tool choice into Anthropic's `tools` and `tool_choice`
+     * @param {Object} config - Decoded configuration
+     * @returns {Object} Anthropic tool parameters, or nothing when tools are disabled
+     */
+    const anthropicTools = (config) => {
+      const tools = parseTools(config);
+      if (!tools) return {};
+
+      let toolChoice = { type: "auto" };
+      const openAiChoice = parseJsonField(config.toolChoice);
+      if (config.toolChoice === "required") {
+        toolChoice = { type: "any" };
+      } else if (openAiChoice && openAiChoice.function && openAiChoice.function.name) {
+        toolChoice = { type: "tool", name: openAiChoice.function.name };
+      }
+
+      return {
+        tools: tools.map(({ function: fn }) => ({
+          name: fn.name,
+          description: fn.description || "",
+          input_schema: fn.parameters || { type: "object", properties: {} }
+        })),
+        tool_choice: toolChoice
+      };
+    };
+
+    /**
+     * Calls an OpenAI-compatible chat completions endpoint
+     * @param {string} url - Chat completions URL
+     * @param {string} apiKey - Bearer token for the API
+     * @param {Object} body - Request body
+     * @returns {Promise<Object>} The parsed API response
+     */
+    const callChatCompletions = (url, apiKey, body) => postJson(url, {
+      'Authorization': `Bearer ${apiKey}`
+    }, body);
+
+    /**
+     * Normalizes an OpenAI-compatible chat completion into the oracle's response fields
+     * @param {Object} aiResponse - The parsed API response
+     * @returns {Object} Fields shared by the oracle's response structs
+     */
+    const normalizeChatCompletion = (aiResponse) => {
+      const message = aiResponse.choices[0].message;
+      const toolCall = message.tool_calls && message.tool_calls[0];
+      return {
+        id: aiResponse.id,
+        content: message.content || "",
+        functionName: toolCall ? toolCall.function.name : "",
+        functionArguments: toolCall ? toolCall.function.arguments : "",
+        created: aiResponse.created || Math.floor(Date.now() / 1000),
+        model: aiResponse.model,
+        systemFingerprint: aiResponse.system_fingerprint || "",
+        object: aiResponse.object || "chat.completion",
+        completionTokens: aiResponse.usage.completion_tokens || 0,
+        promptTokens: aiResponse.usage.prompt_tokens || 0,
+        totalTokens: aiResponse.usage.total_tokens || 0
+      };
+    };
+
+    /** @type {RegExp} Base64 data URI of an image type the providers accept */
+    const IMAGE_DATA_URI = /^data:(image\/(?:png|jpeg|gif|webp));base64,([A-Za-z0-9+/=]+)$/;
+
+    /**
+     * Translates one IOracle.Content entry into a provider-neutral part
+     * @param {Array} content - [contentType, value] tuple
+     * @param {number} index - Position of the message, for error messages
+     * @returns {{type: string, text: string}|{type: string, url: string}} A text or image part
+     * @throws {OracleError} UNSUPPORTED_CONTENT for unknown content types and unusable image URLs
+     */
+    const toContentPart = ([contentType, value], index) => {
+      const type = String(contentType).toLowerCase();
+      if (type === "text") {
+        return { type: "text", text: value };
+      }
+      if (type === "image_url") {
+        if (!/^https?:\/\//i.test(value) && !IMAGE_DATA_URI.test(value)) {
+          throw new OracleError(ERROR_CODES.UNSUPPORTED_CONTENT,
+            `Message ${index} has an image_url that is neither http(s) nor a base64 png, jpeg, gif or webp data URI`);
+        }
+        return { type: "image", url: value };
+      }
+      throw new OracleError(ERROR_CODES.UNSUPPORTED_CONTENT, `Message ${index} has unsupported content type "${contentType}"`);
+    };
+
+    /**
+     * Translates messagesRoles into the provider-neutral messages the providers render
+     * @param {Array} messagesRoles - [role, Content[]] pairs from getMessagesAndRoles
+     * @returns {Array<{role: string, parts: Array<Object>}>} The messages
+     * @throws {OracleError} UNSUPPORTED_CONTENT when a message is empty or has unsupported content
+     */
+    const toMessages = (messagesRoles) => messagesRoles.map(([role, content], index) => {
+      if (!content || content.length === 0) {
+        throw new OracleError(ERROR_CODES.UNSUPPORTED_CONTENT, `Message ${index} has no content`);
+      }
+      return { role: role.toLowerCase(), parts: content.map((entry) => toContentPart(entry, index)) };
+    });
+
+    /** @type {Array<string>} Roles whose messages carry a tool or function result */
+    const TOOL_RESULT_ROLES = ["tool", "function"];
+    /** @type {string} Text of the user turn inserted when a conversation would open with the assistant */
+    const CONVERSATION_START = "(conversation start)";
+
+    /**
+     * @typedef {Object} Conversation
+     * @property {string|null} system - System prompt lifted from the system messages, null when there are none
+     * @property {Array<{role: string, parts: Array<Object>}>} turns - Alternating "user" and "assistant"
+     *   turns, starting with a user turn
+     */
+
+    /**
+     * Merges adjacent turns of the same role and inserts a user turn when the turns would
+     * open with the assistant
+     * @param {Array<{role: string, parts: Array<Object>}>} turns - "user" and "assistant" turns
+     * @returns {Array<{role: string, parts: Array<Object>}>} Alternating turns, starting with a user turn
+     */
+    const normalizeTurns = (turns) => {
+      const merged = [];
+      for (const turn of turns) {
+        const previous = merged[merged.length - 1];
+        if (previous && previous.role === turn.role) {
+          merged[merged.length - 1] = { role: turn.role, parts: [...previous.parts, ...turn.parts] };
+        } else {
+          merged.push(turn);
+        }
+      }
+      if (merged.length === 0 || merged[0].role !== "user") {
+        merged.unshift({ role: "user", parts: [{ type: "text", text: CONVERSATION_START }] });
+      }
+      return merged;
+    };
+
+    /**
+     * Builds the conversation the providers render. System messages are lifted into the
+     * system prompt, tool and function results become user turns, and the turns are
+     * normalized with normalizeTurns. The oracle stores no tool call IDs, so results cannot
+     * be sent as the providers' native tool messages, which must reference one.
+     * @param {Array<{role: string, parts: Array<Object>}>} messages - Provider-neutral messages
+     * @returns {Conversation} The conversation
+     * @throws {OracleError} UNSUPPORTED_CONTENT when a system message holds an image
+     */
+    const toConversation = (messages) => {
+      const systemTexts = [];
+      const turns = [];
+      messages.forEach(({ role, parts }, index) => {
+        if (role === "system") {
+          if (parts.some(part => part.type !== "text")) {
+            throw new OracleError(ERROR_CODES.UNSUPPORTED_CONTENT, `System message ${index} may only hold text`);
+          }
+          systemTexts.push(...parts.map(part => part.text));
+          return;
+        }
+
+        if (TOOL_RESULT_ROLES.includes(role)) {
+          turns.push({ role: "user", parts: parts.map(part => (part.type === "text" ? { type: "text", text: `Tool result:\n${part.text}` } : part)) });
+          return;
+        }
+        if (role !== "user" && role !== "assistant") {
+          log("warn", "Sending message with unknown role as a user turn", { role, index });
+        }
+        turns.push({ role: role === "assistant" ? "assistant" : "user", parts });
+      });
+
+      return { system: systemTexts.length > 0 ? systemTexts.join("\n\n") : null, turns: normalizeTurns(turns) };
+    };
+
+    /**
+     * Renders parts as OpenAI-compatible message content. Text-only messages stay plain
+     * strings, which every model accepts.
+     * @param {Array<Object>} parts - Provider-neutral parts
+     * @returns {string|Array<Object>} The content
+     */
+    const toChatCompletionContent = (parts) => {
+      if (parts.every(part => part.type === "text")) {
+        return parts.map(part => part.text).join("\n\n");
+      }
+      return parts.map(part => (part.type === "text"
+        ? { type: "text", text: part.text }
+        : { type: "image_url", image_url: { url: part.url } }));
+    };
+
+    /**
+     * Renders parts as Anthropic content blocks. Data URIs become base64 image sources and
+     * http(s) URLs become URL image sources.
+     * @param {Array<Object>} parts - Provider-neutral parts
+     * @returns {string|Array<Object>} The content
+     */
+    const toAnthropicContent = (parts) => {
+      if (parts.every(part => part.type === "text")) {
+        return parts.map(part => part.text).join("\n\n");
+      }
+      return parts.map(part => {
+        if (part.type === "text") {
+          return { type: "text", text: part.text };
+        }
+        const dataUri = part.url.match(IMAGE_DATA_URI);
+        return {
+          type: "image",
+          source: dataUri
+            ? { type: "base64", media_type: dataUri[1], data: dataUri[2] }
+            : { type: "url", url: part.url }
+        };
+      });
+    };
+
+    /**
+     * Renders a conversation for an OpenAI-compatible chat completions request, with the
+     * system prompt as a leading system message
+     * @param {Conversation} conversation - The conversation
+     * @returns {Array<{role: string, content: string|Array<Object>}>} Chat completion messages
+     */
+    const toChatCompletionMessages = (conversation) => [
+      ...(conversation.system ? [{ role: "system", content: conversation.system }] : []),
+      ...conversation.turns.map(turn => ({
+        role: turn.role,
+        content: toChatCompletionContent(turn.parts)
+      }))
+    ];
+
+    /**
+     * LLM backends keyed by the oracle's promptType value.
+     * Each provider reads its stored request configuration, calls its HTTP API, normalizes
+     * the reply into the oracle's response fields and names the oracle method (and therefore
+     * response struct) it is submitted with. The default and summary models feed the
+     * context budget (see fitContext).
+     * @type {Object<string, {name: string, configurationMethod: string, responseMethod: string, defaultModel: string, summaryModel: string, defaultMaxTokens: number|null, call: function(Conversation, Object): Promise<Object>, normalize: function(Object): Object}>}
+     */
+    const PROVIDERS = {
+      default: {
+        name: "anthropic",
+        configurationMethod: "llmConfigurations",
+        responseMethod: "addResponse",
+        defaultModel: "claude-3-5-sonnet-20240620",
+        summaryModel: "claude-3-haiku-20240307",
+        defaultMaxTokens: 1000,
+        call: (conversation, config) => postJson(LLM_API_URLS.anthropic, {
+          'x-api-key': ANTHROPIC_API_KEY,
+          'anthropic-version': '2023-06-01'
+        }, {
+          model: config.model || PROVIDERS.default.defaultModel,
+          max_tokens: config.maxTokens || PROVIDERS.default.defaultMaxTokens,
+          messages: conversation.turns.map(turn => ({
+            role: turn.role,
+            content: toAnthropicContent(turn.parts)
+          })),
+          // Anthropic accepts temperatures up to 1.0 and has no penalty, seed or logit bias parameters
+          ...withoutNulls({
+            system: conversation.system,
+            temperature: config.temperature === null ? null : Math.min(config.temperature, 1),
+            top_p: config.topP,
+            stop_sequences: config.stop ? [config.stop] : null,
+            metadata: config.user ? { user_id: config.user } : null
+          }),
+          ...anthropicTools(config)
+        }),
+        normalize: (aiResponse) => {
+          // A tool_use block becomes the oracle's function call; any text is kept as content
+          const toolUse = aiResponse.content.find(block => block.type === "tool_use");
+          return {
+            id: aiResponse.id,
+            content: aiResponse.content.filter(block => block.type === "text").map(block => block.text).join("\n"),
+            functionName: toolUse ? toolUse.name : "",
+            functionArguments: toolUse ? JSON.stringify(toolUse.input) : "",
+            created: Math.floor(Date.now() / 1000),
+            model: aiResponse.model,
+            systemFingerprint: aiResponse.system_fingerprint || "",
+            object: "chat.completion",
+            completionTokens: aiResponse.usage.output_tokens || 0,
+            promptTokens: aiResponse.usage.input_tokens || 0,
+            totalTokens: (aiResponse.usage.output_tokens || 0) + (aiResponse.usage.input_tokens || 0)
+          };
+        }
+      },
+      OpenAI: {
+        name: "openai",
+        configurationMethod: "openAiConfigurations",
+        responseMethod: "addOpenAiResponse",
+        defaultModel: "gpt-4-turbo",
+        summaryModel: "gpt-4o-mini",
+        defaultMaxTokens: null,
+        call: (conversation, config) => callChatCompletions(LLM_API_URLS.openai, OPENAI_API_KEY, {
+          model: config.model || PROVIDERS.OpenAI.defaultModel,
+          messages: toChatCompletionMessages(conversation),
+          ...chatCompletionParams(config),
+          ...withoutNulls({ logit_bias: config.logitBias }),
+          ...chatCompletionTools(config)
+        }),
+        normalize: normalizeChatCompletion
+      },
+      Groq: {
+        name: "groq",
+        configurationMethod: "groqConfigurations",
+        responseMethod: "addGroqResponse",
+        defaultModel: "llama3-8b-8192",
+        summaryModel: "llama3-8b-8192",
+        defaultMaxTokens: null,
+        call: (conversation, config) => callChatCompletions(LLM_API_URLS.groq, GROQ_API_KEY, {
+          model: config.model || PROVIDERS.Groq.defaultModel,
+          messages: toChatCompletionMessages(conversation),
+          ...chatCompletionParams(config)
+        }),
+        normalize: normalizeChatCompletion
+      }
+    };
+
+    /**
+     * Shapes normalized response fields into the struct the provider's oracle method expects.
+     * GroqResponse has no function call fields.
+     * @param {string} promptType - The oracle promptType value
+     * @param {Object} fields - Normalized response fields
+     * @returns {Object} OpenAiResponse, GroqResponse or LlmResponse tuple
+     */
+    const toResponseTuple = (promptType, fields) => {
+      if (promptType === "Groq") {
+        const { functionName, functionArguments, ...groqFields } = fields;
+        return groqFields;
+      }
+      return fields;
+    };
+
+    /**
+     * Context windows and rough characters per token of known models, matched by name
+     * in order. Counts are estimates: the action has no tokenizer.
+     * @type {Array<{pattern: RegExp, contextWindow: number, charsPerToken: number}>}
+     */
+    const MODEL_LIMITS = [
+      { pattern: /^claude-/, contextWindow: 200000, charsPerToken: 3.5 },
+      { pattern: /^gpt-4\.1/, contextWindow: 1047576, charsPerToken: 4 },
+      { pattern: /^gpt-4o/, contextWindow: 128000, charsPerToken: 4 },
+      { pattern: /^gpt-4-turbo|^gpt-4-\d{4}-preview/, contextWindow: 128000, charsPerToken: 4 },
+      { pattern: /^gpt-4-32k/, contextWindow: 32768, charsPerToken: 4 },
+      { pattern: /^gpt-4(-\d{4})?$/, contextWindow: 8192, charsPerToken: 4 },
+      { pattern: /^gpt-3\.5-turbo/, contextWindow: 16385, charsPerToken: 4 },
+      { pattern: /^o1-(preview|mini)/, contextWindow: 128000, charsPerToken: 4 },
+      { pattern: /^o[134](-|$)/, contextWindow: 200000, charsPerToken: 4 },
+      { pattern: /^llama-3\.[123]-/, contextWindow: 131072, charsPerToken: 4 },
+      { pattern: /^llama3-/, contextWindow: 8192, charsPerToken: 4 },
+      { pattern: /^mixtral-8x7b/, contextWindow: 32768, charsPerToken: 3.5 },
+      { pattern: /^gemma/, contextWindow: 8192, charsPerToken: 3.5 }
+    ];
+    /** @type {number} Characters per token assumed for models missing from MODEL_LIMITS */
+    const DEFAULT_CHARS_PER_TOKEN = 3.5;
+    /**
+     * Context windows from the `contextWindows` param, keyed by model name or name prefix.
+     * They take precedence over MODEL_LIMITS and cover models it does not know.
+     * @type {Object<string, number>}
+     */
+    const CONTEXT_WINDOWS = typeof contextWindows !== 'undefined' && contextWindows ? contextWindows : {};
+    /** @type {number} Share of the context window the estimate may fill, as a margin for estimation error */
+    const CONTEXT_SAFETY_FACTOR = 0.9;
+    /** @type {number} Tokens reserved for the reply when neither the configuration nor the provider sets maxTokens */
+    const DEFAULT_OUTPUT_TOKENS = 1024;
+    /** @type {number} Estimated tokens of one image */
+    const IMAGE_TOKENS = 1600;
+    /** @type {number} Estimated tokens each message adds beyond its content */
+    const MESSAGE_OVERHEAD_TOKENS = 4;
+    /** @type {number} Maximum length of a summary of dropped turns, in tokens */
+    const SUMMARY_MAX_TOKENS = 512;
+    /** @type {string} Instructions for the summary call */
+    const SUMMARY_PROMPT = "Summarize the following conversation excerpt in a few short paragraphs. " +
+      "Keep facts, decisions, names and open questions that later messages may rely on.";
+
+    /**
+     * What to do when a conversation exceeds the model's context budget:
+     * drop_oldest drops turns from the start, keep_first keeps the first turn and drops the
+     * ones after it, summarize replaces the turns keep_first would drop with a summary made
+     * by the provider's summary model
+     * @enum {string}
+     */
+    const CONTEXT_STRATEGIES = {
+      DROP_OLDEST: "drop_oldest",
+      KEEP_FIRST: "keep_first",
+      SUMMARIZE: "summarize"
+    };
+
+    /** @type {string} Strategy from the `contextStrategy` param, drop_oldest when unset or unknown */
+    const contextStrategyParam = typeof contextStrategy !== 'undefined' && contextStrategy ? contextStrategy : CONTEXT_STRATEGIES.DROP_OLDEST;
+    const CONTEXT_STRATEGY = Object.values(CONTEXT_STRATEGIES).includes(contextStrategyParam)
+      ? contextStrategyParam
+      : CONTEXT_STRATEGIES.DROP_OLDEST;
+    if (CONTEXT_STRATEGY !== contextStrategyParam) {
+      log("warn", "Unknown context strategy, using drop_oldest", { contextStrategy: contextStrategyParam });
+    }
+
+    /**
+     * Looks up the limits of a model. The longest CONTEXT_WINDOWS key the name starts with
+     * wins over MODEL_LIMITS.
+     * @param {string} model - Model name
+     * @returns {{contextWindow: number|null, charsPerToken: number}} The limits; contextWindow is
+     *   null when the model's window is not known
+     */
+    const modelLimits = (model) => {
+      const known = MODEL_LIMITS.find(limits => limits.pattern.test(model));
+      const configured = Object.keys(CONTEXT_WINDOWS)
+        .filter(prefix => model.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+      return {
+        contextWindow: configured ? Number(CONTEXT_WINDOWS[configured]) : (known ? known.contextWindow : null),
+        charsPerToken: known ? known.charsPerToken : DEFAULT_CHARS_PER_TOKEN
+      };
+    };
+
+    /**
+     * Estimates the prompt tokens of a conversation
+     * @param {Conversation} conversation - The conversation
+     * @param {number} charsPerToken - Characters per token of the model
+     * @param {number} [extraChars] - Characters sent besides the conversation, e.g. tool definitions
+     * @returns {number} Estimated tokens
+     */
+    const estimateTokens = (conversation, charsPerToken, extraChars = 0) => {
+      let chars = extraChars;
+      let tokens = 0;
+      if (conversation.system) {
+        chars += conversation.system.length;
+        tokens += MESSAGE_OVERHEAD_TOKENS;
+      }
+      for (const turn of conversation.turns) {
+        tokens += MESSAGE_OVERHEAD_TOKENS;
+        for (const part of turn.parts) {
+          if (part.type === "text") {
+            chars += part.text.length;
+          } else {
+            tokens += IMAGE_TOKENS;
+          }
+        }
+      }
+      return tokens + Math.ceil(chars / charsPerToken);
+    };
+
+    /**
+     * Drops turns until a conversation fits, never dropping the last turn. Turns are dropped
+     * from the start, or from after the first turn when keepFirst is set, and the turn that
+     * follows the kept ones has to keep roles alternating.
+     * @param {Conversation} conversation - The conversation
+     * @param {boolean} keepFirst - Whether the first turn is kept
+     * @param {function(Conversation): boolean} fits - Whether a conversation fits the budget
+     * @returns {{conversation: Conversation, dropped: Array<{role: string, parts: Array<Object>}>}} The
+     *   trimmed conversation and the dropped turns, oldest first
+     */
+    const trimTurns = (conversation, keepFirst, fits) => {
+      const start = keepFirst ? 1 : 0;
+      const nextRole = keepFirst ? "assistant" : "user";
+      const turns = [...conversation.turns];
+      const dropped = [];
+      while (turns.length > start + 1 && !fits({ ...conversation, turns })) {
+        dropped.push(turns.splice(start, 1)[0]);
+        while (turns.length > start + 1 && turns[start].role !== nextRole) {
+          dropped.push(turns.splice(start, 1)[0]);
+        }
+      }
+      return { conversation: { ...conversation, turns: normalizeTurns(turns) }, dropped };
+    };
+
+    /**
+     * Summarizes turns with the provider's summary model
+     * @param {Object} llmProvider - Entry of PROVIDERS
+     * @param {Object} config - Decoded configuration of the prompt
+     * @param {Array<{role: string, parts: Array<Object>}>} turns - Turns to summarize
+     * @returns {Promise<{content: string, model: string, promptTokens: number, completionTokens: number}>} The summary
+     * @throws {OracleError} When the summary call fails or returns no text
+     */
+    const summarizeTurns = async (llmProvider, config, turns) => {
+      const limits = modelLimits(llmProvider.summaryModel);
+      const maxChars = limits.contextWindow
+        ? Math.floor((limits.contextWindow * CONTEXT_SAFETY_FACTOR - SUMMARY_MAX_TOKENS) * limits.charsPerToken) - SUMMARY_PROMPT.length
+        : Infinity;
+      // Images are described rather than sent, and the most recent part of the excerpt is kept
+      const transcript = turns
+        .map(turn => `${turn.role}: ${turn.parts.map(part => (part.type === "text" ? part.text : "[image]")).join("\n")}`)
+        .join("\n\n")
+        .slice(-maxChars);
+
+      // Sampling and tool settings of the prompt do not apply to the summary
+      const summaryConfig = {
+        ...Object.fromEntries(Object.keys(config).map(name => [name, null])),
+        model: llmProvider.summaryModel,
+        maxTokens: SUMMARY_MAX_TOKENS
+      };
+      const summaryConversation = { system: SUMMARY_PROMPT, turns: [{ role: "user", parts: [{ type: "text", text: transcript }] }] };
+      const summary = llmProvider.normalize(await withTimeout(llmProvider.call(summaryConversation, summaryConfig), llmProvider.name));
+      if (!summary.content) {
+        throw new OracleError(ERROR_CODES.MALFORMED_RESPONSE, `${llmProvider.name} returned an empty summary`);
+      }
+      return summary;
+    };
+
+    /**
+     * @typedef {Object} ContextReport
+     * @property {string} strategy - Strategy applied when over budget
+     * @property {string} model - Model the budget was computed for
+     * @property {number|null} budgetTokens - Prompt tokens the model can take next to the reserved reply,
+     *   null when the model's context window is not known
+     * @property {number} estimatedTokens - Estimated prompt tokens of the full conversation
+     * @property {number} sentTokens - Estimated prompt tokens of the conversation sent
+     * @property {number} droppedTurns - Turns dropped or summarized
+     * @property {Object|null} summary - Model and token usage of the summary call, null when none was made
+     */
+
+    /**
+     * Fits a conversation into the context window of the model it is sent to, applying
+     * CONTEXT_STRATEGY when it is over budget. The budget is the window, less a safety
+     * margin for the estimate and the tokens reserved for the reply. A failed summary
+     * falls back to keep_first. Conversations for models whose window is not known are sent
+     * as they are.
+     * @param {Conversation} conversation - The conversation
+     * @param {Object} llmProvider - Entry of PROVIDERS
+     * @param {Object} config - Decoded configuration of the prompt
+     * @returns {Promise<{conversation: Conversation, report: ContextReport}>} The conversation to send and what was done
+     * @throws {OracleError} CONTEXT_TOO_LONG when even the most recent turn does not fit
+     */
+    const fitContext = async (conversation, llmProvider, config) => {
+      const model = config.model || llmProvider.defaultModel;
+      const { contextWindow, charsPerToken } = modelLimits(model);
+      const outputTokens = config.maxTokens || llmProvider.defaultMaxTokens || DEFAULT_OUTPUT_TOKENS;
+      const budgetTokens = contextWindow ? Math.floor(contextWindow * CONTEXT_SAFETY_FACTOR) - outputTokens : null;
+      const toolChars = config.tools ? config.tools.length : 0;
+      const estimate = (candidate) => estimateTokens(candidate, charsPerToken, toolChars);
+
+      const report = {
+        strategy: CONTEXT_STRATEGY,
+        model,
+        budgetTokens,
+        estimatedTokens: estimate(conversation),
+        sentTokens: 0,
+        droppedTurns: 0,
+        summary: null
+      };
+      if (budgetTokens === null) {
+        log("warn", "Context window of the model is not known, sending the conversation untrimmed; set it in the contextWindows profile field", { model });
+      }
+      if (budgetTokens === null || report.estimatedTokens <= budgetTokens) {
+        report.sentTokens = report.estimatedTokens;
+        return { conversation, report };
+      }
+
+      const summarize = CONTEXT_STRATEGY === CONTEXT_STRATEGIES.SUMMARIZE;
+      // A summary takes up to SUMMARY_MAX_TOKENS, so room is made for it up front
+      const summaryReserve = summarize ? SUMMARY_MAX_TOKENS + MESSAGE_OVERHEAD_TOKENS : 0;
+      const trimmed = trimTurns(conversation, CONTEXT_STRATEGY !== CONTEXT_STRATEGIES.DROP_OLDEST,
+        (candidate) => estimate(candidate) + summaryReserve <= budgetTokens);
+      let fitted = trimmed.conversation;
+
+      if (summarize && trimmed.dropped.length > 0) {
+        try {
+          const summary = await summarizeTurns(llmProvider, config, trimmed.dropped);
+          const [first, ...rest] = fitted.turns;
+          const summaryTurn = { role: "user", parts: [{ type: "text", text: `Summary of earlier messages:\n${summary.content}` }] };
+          fitted = { ...fitted, turns: normalizeTurns([first, summaryTurn, ...rest]) };
+          report.summary = { model: summary.model, promptTokens: summary.promptTokens, completionTokens: summary.completionTokens };
+        } catch (e) {
+          log("warn", "Summarizing dropped turns failed, sending without a summary", { provider: llmProvider.name, error: e });
+        }
+      }
+
+      report.droppedTurns = trimmed.dropped.length;
+      report.sentTokens = estimate(fitted);
+      if (report.sentTokens > budgetTokens) {
+        throw new OracleError(ERROR_CODES.CONTEXT_TOO_LONG,
+          `The latest message needs about ${report.sentTokens} tokens but ${model} has room for ${budgetTokens}`);
+      }
+      log("info", "Conversation trimmed to fit the context window", { ...report });
+      return { conversation: fitted, report };
+    };
+
+    /** @type {number} Share of the latest block's gas limit a response may use when the `maxResponseGas` param is not set */
+    const RESPONSE_GAS_SHARE_PERCENT = 50;
+    /** @type {string} Appended to truncated content */
+    const TRUNCATION_MARKER = "\n\n[truncated: the full response was too large to store on-chain]";
+    /** @type {string} Submitted in place of offloaded content, followed by the reference */
+    const OFFLOAD_NOTICE = "The full response was too large to store on-chain and is available at ";
+    /** @type {number} Attempts at finding a truncation that fits */
+    const MAX_FIT_ATTEMPTS = 4;
+    /** @type {number} Share of the length extrapolated to fit that is aimed for, as gas does not grow exactly with length */
+    const FIT_LENGTH_FACTOR = 0.9;
+    /** @type {string} Appended to a reduced response's `object` field, followed by the steps applied */
+    const OVERSIZE_OBJECT_SUFFIX = "; oversize=";
+
+    /**
+     * Records on the response how its content was reduced, so consumers can tell a shortened,
+     * offloaded or truncated answer from a complete one: `object` becomes e.g.
+     * "chat.completion; oversize=shortened,truncated"
+     * @param {Object} fields - Normalized response fields with the reduced content
+     * @param {Array<string>} applied - Steps applied, in order
+     * @returns {Object} The fields with the steps appended to `object`
+     */
+    const markReduced = (fields, applied) => ({
+      ...fields,
+      object: `${fields.object || "chat.completion"}${OVERSIZE_OBJECT_SUFFIX}${applied.join(",")}`
+    });
+
+    /**
+     * Works out the most gas a response submission may use
+     * @returns {Promise<ethers.BigNumber>} The `maxResponseGas` param, or a share of the latest block's gas limit
+     */
+    const responseGasLimit = async () => {
+      if (typeof maxResponseGas !== 'undefined' && maxResponseGas) {
+        return ethers.BigNumber.from(maxResponseGas);
+      }
+      const block = await provider.getBlock("latest");
+      return block.gasLimit.mul(RESPONSE_GAS_SHARE_PERCENT).div(100);
+    };
+
+    /**
+     * Estimates the gas of submitting a response
+     * @param {function(Object): Promise<ethers.BigNumber>} estimateGas - Estimates the submission of response fields
+     * @param {Object} fields - Normalized response fields
+     * @returns {Promise<ethers.BigNumber|null>} The estimate, or null when the submission would revert
+     * @throws {Error} When the estimate fails for another reason
+     */
+    const estimateSubmission = async (estimateGas, fields) => {
+      try {
+        return await estimateGas(fields);
+      } catch (e) {
+        if (e.code !== "UNPREDICTABLE_GAS_LIMIT") throw e;
+        return null;
+      }
+    };
+
+    /**
+     * Extrapolates the content length whose submission would fit the gas limit
+     * @param {number} length - Current content length
+     * @param {ethers.BigNumber|null} gas - Gas estimate at that length, null when the estimate reverted
+     * @param {ethers.BigNumber} maxGas - Gas limit
+     * @returns {number} The length to aim for; half the current one when there is no estimate
+     */
+    const targetLength = (length, gas, maxGas) => {
+      if (!gas) return Math.floor(length / 2);
+      return Math.floor(length * FIT_LENGTH_FACTOR * maxGas.mul(1000).div(gas).toNumber() / 1000);
+    };
+
+    /**
+     * Cuts text to a length, marker included, without splitting a surrogate pair
+     * @param {string} text - The text
+     * @param {number} length - Maximum length of the result
+     * @returns {string} The cut text ending in TRUNCATION_MARKER
+     */
+    const truncateContent = (text, length) => {
+      let end = Math.max(0, length - TRUNCATION_MARKER.length);
+      if (end > 0 && /[\uD800-\uDBFF]/.test(text[end - 1])) end--;
+      return text.slice(0, end) + TRUNCATION_MARKER;
+    };
+
+    /**
+     * Estimates the gas of submitting a response as it is. A revert is only put down to the
+     * response's size when the same response with its content truncated away goes through;
+     * otherwise the consumer reverts for another reason and reducing the content cannot help.
+     * @param {function(Object): Promise<ethers.BigNumber>} estimateGas - Estimates the submission of response fields
+     * @param {Object} fields - Normalized response fields
+     * @returns {Promise<ethers.BigNumber|null>} The estimate, or null when the submission reverts for its size
+     * @throws {Error} When the estimate fails or reverts for another reason
+     */
+    const estimateOriginal = async (estimateGas, fields) => {
+      try {
+        return await estimateGas(fields);
+      } catch (e) {
+        if (e.code !== "UNPREDICTABLE_GAS_LIMIT") throw e;
+        const probe = { ...fields, content: truncateContent(fields.content, 0) };
+        if (!await estimateSubmission(estimateGas, probe)) throw e;
+        return null;
+      }
+    };
+
+    /**
+     * Truncates a response's content until its submission fits
+     * @param {function(Object): Promise<ethers.BigNumber>} estimateGas - Estimates the submission of response fields
+     * @param {Object} fields - Normalized response fields
+     * @param {ethers.BigNumber|null} gas - Gas estimate of the fields as they are
+     * @param {ethers.BigNumber} maxGas - Gas limit
+     * @param {Array<string>} applied - Steps already applied to the fields, for markReduced
+     * @returns {Promise<Object|null>} Marked fields with truncated content, null when no truncation fit in MAX_FIT_ATTEMPTS
+     */
+    const truncateToFit = async (estimateGas, fields, gas, maxGas, applied) => {
+      let candidate = fields;
+      let candidateGas = gas;
+      for (let attempt = 0; attempt < MAX_FIT_ATTEMPTS; attempt++) {
+        const length = Math.min(targetLength(candidate.content.length, candidateGas, maxGas), candidate.content.length - 1);
+        candidate = markReduced({ ...fields, content: truncateContent(fields.content, length) }, [...applied, "truncated"]);
+        candidateGas = await estimateSubmission(estimateGas, candidate);
+        if (candidateGas && candidateGas.lte(maxGas)) return candidate;
+      }
+      return null;
+    };
+
+    /**
+     * Asks the model again for an answer of at most a number of characters
+     * @param {Object} llmProvider - Entry of PROVIDERS
+     * @param {Conversation} conversation - The conversation the response answered
+     * @param {Object} config - Decoded configuration of the prompt
+     * @param {number} maxChars - Length the answer has to fit
+     * @returns {Promise<Object>} Normalized response fields of the new answer
+     * @throws {OracleError} When the call fails or returns no text
+     */
+    const shortenResponse = async (llmProvider, conversation, config, maxChars) => {
+      const instruction = { role: "user", parts: [{ type: "text", text: `Answer in at most ${maxChars} characters.` }] };
+      const retry = { ...conversation, turns: normalizeTurns([...conversation.turns, instruction]) };
+      const { charsPerToken } = modelLimits(config.model || llmProvider.defaultModel);
+      const maxTokens = Math.max(1, Math.floor(maxChars / charsPerToken));
+      const shortened = llmProvider.normalize(await withTimeout(llmProvider.call(retry, { ...config, maxTokens }), llmProvider.name));
+      if (!shortened.content) {
+        throw new OracleError(ERROR_CODES.MALFORMED_RESPONSE, `${llmProvider.name} returned an empty shortened answer`);
+      }
+      return shortened;
+    };
+
+    /**
+     * Stores text on IPFS through the Kubo HTTP API
+     * @param {string} text - The text
+     * @returns {Promise<string>} ipfs:// reference to the stored text
+     * @throws {Error} When no IPFS API is configured or the upload fails
+     */
+    const offloadContent = async (text) => {
+      if (!IPFS_API_URL) {
+        throw new Error("The ipfsApiUrl secret is not set");
+      }
+      const form = new FormData();
+      form.append('file', new Blob([text], { type: 'text/plain' }), 'response.txt');
+      const response = await withTimeout(fetch(`${IPFS_API_URL}/api/v0/add?pin=true&cid-version=1`, {
+        method: 'POST',
+        headers: IPFS_API_AUTH ? { 'Authorization': IPFS_API_AUTH } : {},
+        body: form
+      }), "IPFS");
+      if (!response.ok) {
+        throw new Error(`IPFS API returned ${response.status}`);
+      }
+      const { Hash } = await response.json();
+      return `ipfs://${Hash}`;
+    };
+
+    /**
+     * @typedef {Object} OversizeReport
+     * @property {string} policy - OVERSIZE_POLICY
+     * @property {Array<string>} applied - Steps applied to the submitted content, in order: "shortened",
+     *   "offloaded" and/or "truncated"
+     * @property {boolean} fits - Whether the submitted content fits the gas limit
+     * @property {string|null} estimatedGas - Gas estimate of the original response, null when it reverted
+     * @property {string} maxGas - Gas a submission may use
+     * @property {number} originalLength - Length of the original content
+     * @property {number} submittedLength - Length of the submitted content
+     * @property {string|null} reference - Where offloaded content is stored
+     * @property {{promptTokens: number, completionTokens: number}|null} discardedUsage - Token usage of the
+     *   answer replaced by a shortened one
+     */
+
+    /**
+     * Checks that submitting a response fits the gas limit and applies OVERSIZE_POLICY when it does not.
+     * Function call responses are never re-asked, as the new answer could call something else.
+     * @param {Object} params
+     * @param {function(Object): Promise<ethers.BigNumber>} params.estimateGas - Estimates the submission of response fields
+     * @param {Object} params.fields - Normalized response fields
+     * @param {Object} params.llmProvider - Entry of PROVIDERS
+     * @param {Conversation} params.conversation - The conversation the response answered
+     * @param {Object} params.config - Decoded configuration of the prompt
+     * @returns {Promise<{fields: Object, oversize: OversizeReport|null}>} Fields to submit and what was done, null when they fit
+     */
+    const guardResponseSize = async ({ estimateGas, fields, llmProvider, conversation, config }) => {
+      const maxGas = await responseGasLimit();
+      let gas = await estimateOriginal(estimateGas, fields);
+      if (gas && gas.lte(maxGas)) {
+        return { fields, oversize: null };
+      }
+
+      const report = {
+        policy: OVERSIZE_POLICY,
+        applied: [],
+        fits: false,
+        estimatedGas: gas ? gas.toString() : null,
+        maxGas: maxGas.toString(),
+        originalLength: fields.content.length,
+        submittedLength: fields.content.length,
+        reference: null,
+        discardedUsage: null
+      };
+      log("warn", "Response too large to submit", { ...report });
+
+      let current = fields;
+      let reduced = null;
+      if (OVERSIZE_POLICY === OVERSIZE_POLICIES.SHORTEN && !fields.functionName) {
+        try {
+          const shortened = await shortenResponse(llmProvider, conversation, config, targetLength(fields.content.length, gas, maxGas));
+          report.applied.push("shortened");
+          report.discardedUsage = { promptTokens: fields.promptTokens, completionTokens: fields.completionTokens };
+          current = shortened;
+          const marked = markReduced(shortened, report.applied);
+          gas = await estimateSubmission(estimateGas, marked);
+          if (gas && gas.lte(maxGas)) reduced = marked;
+        } catch (e) {
+          log("warn", "Shortening the response failed, truncating it", { provider: llmProvider.name, error: e });
+        }
+      } else if (OVERSIZE_POLICY === OVERSIZE_POLICIES.OFFLOAD) {
+        try {
+          const reference = await offloadContent(fields.content);
+          const offloaded = markReduced({ ...fields, content: OFFLOAD_NOTICE + reference }, ["offloaded"]);
+          const offloadedGas = await estimateSubmission(estimateGas, offloaded);
+          if (offloadedGas && offloadedGas.lte(maxGas)) {
+            reduced = offloaded;
+            report.applied.push("offloaded");
+            report.reference = reference;
+          }
+        } catch (e) {
+          log("warn", "Offloading the response failed, truncating it", { error: e });
+        }
+      }
+
+      if (!reduced) {
+        reduced = await truncateToFit(estimateGas, current, gas, maxGas, report.applied);
+        if (reduced) report.applied.push("truncated");
+      }
+      if (!reduced) {
+        report.submittedLength = current.content.length;
+        log("error", "No reduced response fits the gas limit, submitting it as is", { ...report });
+        return { fields: current, oversize: report };
+      }
+      report.fits = true;
+      report.submittedLength = reduced.content.length;
+      log("info", "Response reduced to fit the gas limit", { ...report });
+      return { fields: reduced, oversize: report };
+    };
+
+    /**
+     * Execute the Lit Action with AI API call and contract interaction
+     * @returns {Promise<string>} JSON with the AI response and the addResponse transaction hash
+     */
+    let result = await Lit.Actions.runOnce({ waitForResponse: true, name: "aiCallerAndContractCall" }, async () => {
+      /**
+       * Initialize contract instance for blockchain interaction
+       * @type {ethers.Contract}
+       */
+      const contractCaller = new ethers.Contract(ORACLE_ADDRESS, ORACLE_ABI, signer);
+      
+      /**
+       * Convert prompt IDs to proper number format
+       * @type {number}
+       */
+      let id = promptId.toNumber ? promptId.toNumber() : parseInt(promptId.hex, 16);
+      let callbackId = promptCallbackId.toNumber ? promptCallbackId.toNumber() : parseInt(promptCallbackId.hex, 16);
+
+      /**
+       * The oracle's promptType for this prompt: "default", "OpenAI" or "Groq"
+       * @type {string}
+       */
+      let promptType = "default";
+      let llmProvider = PROVIDERS.default;
+      /** @type {Object|null} Normalized AI response, null when the call failed */
+      let aiResponse = null;
+      /** @type {string} errorMessage submitted with the response, empty on success */
+      let errorMessage = "";
+      /** @type {string|null} Model requested in the stored configuration, null for the provider default */
+      let requestedModel = null;
+      /** @type {number|null} Duration of the LLM request in milliseconds, null when it was not made */
+      let llmLatencyMs = null;
+      /** @type {ContextReport|null} How the conversation was fitted into the context window, null when it was not built */
+      let contextReport = null;
+      /** @type {{conversation: Conversation, config: Object}|null} What was sent to the provider, kept for a shorter retry */
+      let request = null;
+      /** @type {string|null} Failure that was not committed on-chain and may pass on a retry by the listener */
+      let transientError = null;
+
+      try {
+        promptType = await contractCaller.promptType(id);
+        if (!PROVIDERS[promptType]) {
+          log("warn", "Unknown prompt type, falling back to default", { promptType });
+          promptType = "default";
+        }
+        llmProvider = PROVIDERS[promptType];
+        log("info", "Calling LLM provider", { promptType, provider: llmProvider.name });
+
+        /**
+         * Request configuration stored on the oracle for this prompt.
+         * Prompts created without one return an all-zero struct, which decodes to all-null
+         * so the provider defaults apply.
+         * @type {Object}
+         */
+        const config = decodeConfig(await contractCaller[llmProvider.configurationMethod](id));
+        log("debug", "Request configuration", { config });
+        requestedModel = config.model;
+
+        /** @type {Conversation} The conversation, provider-neutral and within the model's context budget */
+        const { conversation, report } = await fitContext(toConversation(toMessages(messagesRoles)), llmProvider, config);
+        contextReport = report;
+        request = { conversation, config };
+
+        /**
+         * @type {Object} The parsed AI response
+         */
+        const llmStartedAt = Date.now();
+        const rawResponse = await withTimeout(llmProvider.call(conversation, config), llmProvider.name)
+          .finally(() => { llmLatencyMs = Date.now() - llmStartedAt; });
+        log("debug", "AI response received", { response: rawResponse, llmLatencyMs });
+        let normalized;
+        try {
+          normalized = llmProvider.normalize(rawResponse);
+        } catch (e) {
+          throw new OracleError(ERROR_CODES.MALFORMED_RESPONSE, `Unexpected ${llmProvider.name} response shape: ${e.message}`);
+        }
+        if (!normalized.content && !normalized.functionName) {
+          throw new OracleError(ERROR_CODES.MALFORMED_RESPONSE, `${llmProvider.name} returned neither content nor a function call`);
+        }
+        // Report the estimate of what was sent when the provider does not report usage
+        if (!normalized.promptTokens) {
+          normalized.promptTokens = contextReport.sentTokens;
+          normalized.totalTokens = normalized.promptTokens + normalized.completionTokens;
+        }
+        aiResponse = normalized;
+      } catch (e) {
+        log("error", "LLM call failed", { promptType, provider: llmProvider.name, error: e });
+        if (isTransientProviderError(e) && !FINAL_ATTEMPT) {
+          transientError = toErrorMessage(e);
+        } else {
+          errorMessage = toErrorMessage(e);
+        }
+      }
+
+      /**
+       * Calls the provider's response method on the contract
+       * @param {Object} fields - Normalized response fields
+       * @param {string} error - errorMessage argument
+       * @returns {Promise<string>} The transaction hash
+       * @throws {Error} If the contract call fails
+       */
+      const submit = async (fields, error) => {
+        const tx = await contractCaller[llmProvider.responseMethod](id, callbackId, toResponseTuple(promptType, fields), error);
+        return tx.hash;
+      };
+
+      /** @type {OversizeReport|null} How a response too large to submit was reduced, null when it fit */
+      let oversize = null;
+      if (aiResponse && aiResponse.content) {
+        try {
+          ({ fields: aiResponse, oversize } = await guardResponseSize({
+            estimateGas: (fields) => contractCaller.estimateGas[llmProvider.responseMethod](
+              id, callbackId, toResponseTuple(promptType, fields), errorMessage
+            ),
+            fields: aiResponse,
+            llmProvider,
+            conversation: request.conversation,
+            config: request.config
+          }));
+        } catch (e) {
+          log("warn", "Could not check the response size, submitting it as is", { error: e });
+        }
+      }
+      
+      /** @type {string|null} Hash of the response transaction, reported back to the listener */
+      let txHash = null;
+
+      if (transientError) {
+        log("warn", "Leaving the prompt for the listener to retry", { transientError });
+      } else {
+        try {
+          txHash = await submit(aiResponse || EMPTY_RESPONSE, errorMessage);
+          log("info", "Response submitted", { method: llmProvider.responseMethod, txHash });
+        } catch (e) {
+          log("error", "Response submission failed", { method: llmProvider.responseMethod, reason: e.reason, error: e });
+
+          // RPC failures, nonce and funding errors say nothing about the response, and the
+          // transaction may even have been broadcast: leave the prompt open for the listener
+          // to retry rather than overwrite the answer
+          if (!isRevert(e)) {
+            transientError = `Submission failed: ${e.reason || e.message}`;
+          } else if (!errorMessage) {
+            // The response itself may be what made the call revert (e.g. the consumer
+            // callback reverted on it), so report the failure with an empty response instead
+            errorMessage = toErrorMessage(new OracleError(ERROR_CODES.SUBMISSION_FAILED, revertReason(e)));
+            try {
+              txHash = await submit(EMPTY_RESPONSE, errorMessage);
+              log("info", "Submission failure reported on-chain", { txHash });
+            } catch (reportError) {
+              log("error", "Error reporting submission failure", { error: reportError });
+              if (!isRevert(reportError)) {
+                transientError = `Submission failed: ${reportError.reason || reportError.message}`;
+              }
+            }
+          }
+        }
+      }
+
+      return JSON.stringify({
+        aiResponse,
+        errorMessage,
+        promptType,
+        provider: llmProvider.name,
+        model: aiResponse ? aiResponse.model : requestedModel,
+        llmLatencyMs,
+        context: contextReport,
+        oversize,
+        transientError,
+        txHash
+      });
     });
 
-    console.log("Lit Action execution completed");
+    log("info", "Lit Action execution completed");
     return result;
   };
 
@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Local execution mode: runs litAction.js in a Node vm sandbox instead of on
+ * the Lit network, so the action can be developed against a local chain and mock LLM
+ * servers without session signatures or Lit capacity. The sandbox gets the globals the
+ * Lit runtime provides (the jsParams, ethers, fetch) and a Lit.Actions shim implementing
+ * runOnce, setResponse, decryptAndCombine and ECDSA signing.
+ *
+ * Secrets are not encrypted in this mode. The listener passes their names in `secrets`
+ * and the shim's decryptAndCombine returns the plaintext from the environment, read
+ * from the same variables encryptSecrets.js encrypts.
+ *
+ * LocalLitClient stands in for LitNodeClient, so the listener's execution path is the
+ * same in both modes. Select it with LIT_EXECUTION_MODE=local. ANTHROPIC_API_URL,
+ * OPENAI_API_URL and GROQ_API_URL point the action at other LLM endpoints, such as
+ * mock servers; the action only accepts them when it runs here.
+ * @requires vm
+ * @requires util
+ * @requires ethers
+ */
+
+const vm = require('vm');
+const util = require('util');
+const ethers = require("ethers");
+
+const { secretSources } = require('./constants');
+
+/** @type {number} Milliseconds an action may run before it is abandoned */
+const LOCAL_ACTION_TIMEOUT_MS = parseInt(process.env.LOCAL_ACTION_TIMEOUT_MS || "60000", 10);
+/** @type {string} IPFS ID reported to the action as its own */
+const LOCAL_ACTION_IPFS_ID = "local";
+
+/**
+ * Reads the LLM endpoint overrides from the environment
+ * @returns {Object<string, string>} Endpoints by provider name, only those that are set
+ */
+function llmApiUrlsFromEnv() {
+  const urls = {
+    anthropic: process.env.ANTHROPIC_API_URL,
+    openai: process.env.OPENAI_API_URL,
+    groq: process.env.GROQ_API_URL,
+  };
+  return Object.fromEntries(Object.entries(urls).filter(([, url]) => url));
+}
+
+/**
+ * Builds the `secrets` jsParam for local execution: every secret set in the environment,
+ * referenced by name in place of its ciphertext
+ * @returns {Object<string, {ciphertext: string, dataToEncryptHash: string}>} Secrets by name
+ */
+function localSecretParams() {
+  const secrets = {};
+  for (const [name, plaintext] of Object.entries(secretSources())) {
+    if (plaintext) {
+      secrets[name] = { ciphertext: name, dataToEncryptHash: "" };
+    }
+  }
+  return secrets;
+}
+
+/**
+ * Signs a 32-byte digest and records the signature under its name, like the Lit nodes do
+ * @param {ethers.utils.SigningKey} signingKey - Key standing in for the PKP
+ * @param {Object<string, Object>} signatures - Signatures by name, returned from executeJs
+ * @param {string} sigName - Name of the signature
+ * @param {ethers.utils.BytesLike} digest - The digest to sign
+ * @returns {Object} The signature
+ */
+function signDigest(signingKey, signatures, sigName, digest) {
+  const signature = signingKey.signDigest(digest);
+  signatures[sigName] = {
+    r: signature.r.slice(2),
+    s: signature.s.slice(2),
+    recid: signature.recoveryParam,
+    signature: ethers.utils.joinSignature(signature),
+    publicKey: signingKey.publicKey.slice(2),
+    dataSigned: ethers.utils.hexlify(digest).slice(2),
+  };
+  return signatures[sigName];
+}
+
+/**
+ * Builds the `Lit` global of the sandbox
+ * @param {Object} options
+ * @param {ethers.utils.SigningKey} options.signingKey - Key standing in for the PKP
+ * @param {{response: *, signatures: Object}} options.state - Collects the action's response and signatures
+ * @returns {Object} The Lit.Actions and Lit.Auth shim
+ */
+function createLitShim({ signingKey, state }) {
+  return {
+    Actions: {
+      // There is a single "node", so the function simply runs once
+      runOnce: async (options, fn) => await fn(),
+      setResponse: ({ response }) => {
+        state.response = response;
+      },
+      decryptAndCombine: async ({ ciphertext }) => {
+        const plaintext = secretSources()[ciphertext];
+        if (!plaintext) {
+          throw new Error(`Secret ${ciphertext} is not set in the environment`);
+        }
+        return plaintext;
+      },
+      signEcdsa: async ({ toSign, sigName }) => {
+        signDigest(signingKey, state.signatures, sigName, toSign);
+        return "success";
+      },
+      signAndCombineEcdsa: async ({ toSign, sigName }) => {
+        const { r, s, recid } = signDigest(signingKey, state.signatures, sigName, toSign);
+        return JSON.stringify({ r, s, v: recid });
+      },
+      ethPersonalSignMessageEcdsa: async ({ message, sigName }) => {
+        signDigest(signingKey, state.signatures, sigName, ethers.utils.hashMessage(message));
+        return "success";
+      },
+    },
+    Auth: {
+      actionIpfsIds: [LOCAL_ACTION_IPFS_ID],
+    },
+  };
+}
+
+/**
+ * Runs Lit Action code in a vm sandbox
+ * @param {string} code - The action's source
+ * @param {Object} jsParams - Parameters exposed to the action as globals
+ * @param {Object} options
+ * @param {ethers.utils.SigningKey} options.signingKey - Key standing in for the PKP
+ * @param {number} [options.timeoutMs] - Milliseconds the action may run
+ * @returns {Promise<{success: boolean, response: *, logs: string, signatures: Object}>} Result shaped
+ *   like the one of LitNodeClient.executeJs
+ * @throws {Error} When the action throws or does not finish in time
+ */
+async function runLitAction(code, jsParams, { signingKey, timeoutMs = LOCAL_ACTION_TIMEOUT_MS }) {
+  const state = { response: undefined, signatures: {} };
+  const logs = [];
+  const capture = (...args) => logs.push(util.format(...args));
+
+  const context = vm.createContext({
+    ...jsParams,
+    jsParams,
+    ethers,
+    fetch,
+    setTimeout,
+    clearTimeout,
+    TextEncoder,
+    TextDecoder,
+    AbortController,
+    FormData,
+    Blob,
+    console: { log: capture, info: capture, warn: capture, error: capture, debug: capture },
+    Lit: createLitShim({ signingKey, state }),
+  });
+
+  // The action is an async IIFE, so the script's completion value is its promise
+  const completion = new vm.Script(code, { filename: 'litAction.js' }).runInContext(context);
+  let timer;
+  try {
+    await Promise.race([
+      Promise.resolve(completion),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Lit Action did not finish within ${timeoutMs} ms`)), timeoutMs);
+      }),
+    ]);
+  } catch (error) {
+    error.logs = logs.join('\n');
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return {
+    success: true,
+    response: state.response,
+    logs: logs.join('\n'),
+    signatures: state.signatures,
+  };
+}
+
+/**
+ * Drop-in replacement for LitNodeClient that executes actions locally.
+ * Session signatures are accepted and ignored.
+ */
+class LocalLitClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.litNetwork] - Name reported as the Lit network, for logs and metrics
+   * @param {string} [options.signingKey] - Private key standing in for the PKP; random when not set
+   * @param {Object<string, string>} [options.llmApiUrls] - LLM endpoints passed to the action, by provider name
+   */
+  constructor({
+    litNetwork = "local",
+    signingKey = process.env.LOCAL_LIT_SIGNING_KEY,
+    llmApiUrls = llmApiUrlsFromEnv(),
+  } = {}) {
+    /** @type {{litNetwork: string}} */
+    this.config = { litNetwork };
+    /** @type {Object<string, string>} */
+    this.llmApiUrls = llmApiUrls;
+    /** @type {boolean} */
+    this.ready = false;
+    /** @type {ethers.utils.SigningKey} */
+    this.signingKey = new ethers.utils.SigningKey(signingKey || ethers.Wallet.createRandom().privateKey);
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    this.ready = true;
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    this.ready = false;
+  }
+
+  /**
+   * @returns {Promise<string>} A placeholder block hash
+   */
+  async getLatestBlockhash() {
+    return ethers.constants.HashZero;
+  }
+
+  /**
+   * Returns placeholder session signatures without calling authNeededCallback
+   * @param {Object} params
+   * @param {string} params.expiration - Requested expiration time
+   * @returns {Promise<Object>} Session signatures accepted by executeJs
+   */
+  async getSessionSigs({ expiration }) {
+    return { local: { expiration } };
+  }
+
+  /**
+   * Executes Lit Action code locally
+   * @param {Object} params
+   * @param {string} params.code - The action's source
+   * @param {Object} [params.jsParams] - Parameters exposed to the action as globals
+   * @returns {Promise<Object>} Result shaped like the one of LitNodeClient.executeJs
+   */
+  async executeJs({ code, jsParams = {} }) {
+    return await runLitAction(code, { llmApiUrls: this.llmApiUrls, ...jsParams }, { signingKey: this.signingKey });
+  }
+}
+
+module.exports = {
+  LocalLitClient,
+  localSecretParams,
+  runLitAction
+};
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Structured logger writing one JSON object per line. Loggers carry
+ * context fields (network, promptId, promptCallbackId, sender, ...) that are added to
+ * every line they write, and child loggers extend that context.
+ *
+ * Secrets (API keys, mnemonics, session signatures, ciphertexts) are always redacted.
+ * Payloads (conversation messages, AI responses, tool and query results) are redacted
+ * too unless LOG_PAYLOADS=true, which is meant for debugging only.
+ *
+ * Environment:
+ *   LOG_LEVEL     debug, info, warn or error (default info)
+ *   LOG_PAYLOADS  "true" to include payloads in log lines
+ */
+
+/**
+ * Severity of each level
+ * @enum {number}
+ */
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+};
+
+/** @type {number} Lines below this severity are dropped */
+const LOG_LEVEL = LEVELS[(process.env.LOG_LEVEL || "info").toLowerCase()] || LEVELS.info;
+/** @type {boolean} Whether payloads are written instead of redacted */
+const LOG_PAYLOADS = process.env.LOG_PAYLOADS === "true";
+
+/** @type {Set<string>} Field names whose values are secrets, compared case-insensitively */
+const SECRET_FIELDS = new Set([
+  "apikey",
+  "authorization",
+  "ciphertext",
+  "mnemonic",
+  "privatekey",
+  "secrets",
+  "sessionsigs",
+  "x-api-key",
+]);
+
+/** @type {Set<string>} Field names whose values are conversation or response payloads */
+const PAYLOAD_FIELDS = new Set([
+  "messages",
+  "messagesroles",
+  "content",
+  "airesponse",
+  "response",
+  "result",
+  "input",
+  "query",
+  "documents",
+]);
+
+/** @type {number} Nesting depth below which values are no longer inspected */
+const MAX_DEPTH = 8;
+
+/**
+ * Converts an error into plain fields
+ * @param {Error} error - The error
+ * @returns {Object} Name, message, code and stack of the error
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.reason ? { reason: error.reason } : {}),
+    stack: error.stack,
+  };
+}
+
+/**
+ * Copies a value with secrets, and unless LOG_PAYLOADS is set payloads, replaced by "[redacted]"
+ * @param {*} value - Value to redact
+ * @param {number} [depth] - Current nesting depth
+ * @returns {*} JSON-serializable copy of the value
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (value && value._isBigNumber) {
+    return value.toString();
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return "[truncated]";
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, fieldValue] of Object.entries(value)) {
+    const name = key.toLowerCase();
+    if (SECRET_FIELDS.has(name) || (!LOG_PAYLOADS && PAYLOAD_FIELDS.has(name))) {
+      copy[key] = "[redacted]";
+    } else {
+      copy[key] = redact(fieldValue, depth + 1);
+    }
+  }
+  return copy;
+}
+
+/**
+ * Logger bound to a set of context fields
+ */
+class Logger {
+  /**
+   * @param {Object} [context] - Fields added to every line
+   */
+  constructor(context = {}) {
+    /** @type {Object} */
+    this.context = context;
+  }
+
+  /**
+   * Creates a logger with additional context fields
+   * @param {Object} context - Fields to add
+   * @returns {Logger} The child logger
+   */
+  child(context) {
+    return new Logger({ ...this.context, ...context });
+  }
+
+  /**
+   * Writes a line if the level is enabled
+   * @param {string} level - One of the LEVELS keys
+   * @param {string} message - Human-readable message
+   * @param {Object} [fields] - Structured fields; an `error` field is serialized with its stack
+   */
+  write(level, message, fields = {}) {
+    if (LEVELS[level] < LOG_LEVEL) {
+      return;
+    }
+    const line = JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...redact(this.context),
+      ...redact(fields),
+    });
+    if (LEVELS[level] >= LEVELS.warn) {
+      process.stderr.write(line + '\n');
+    } else {
+      process.stdout.write(line + '\n');
+    }
+  }
+
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} [fields] - Structured fields
+   */
+  debug(message, fields) {
+    this.write("debug", message, fields);
+  }
+
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} [fields] - Structured fields
+   */
+  info(message, fields) {
+    this.write("info", message, fields);
+  }
+
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} [fields] - Structured fields
+   */
+  warn(message, fields) {
+    this.write("warn", message, fields);
+  }
+
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} [fields] - Structured fields
+   */
+  error(message, fields) {
+    this.write("error", message, fields);
+  }
+}
+
+/** @type {Logger} Root logger without context */
+const logger = new Logger();
+
+module.exports = {
+  Logger,
+  logger,
+  redact,
+  LOG_PAYLOADS
+};
@@ -0,0 +1,315 @@
+/**
+ * @fileoverview Prometheus metrics for the listener, rendered in the text exposition
+ * format by the admin server's /metrics endpoint. Metrics are registered in a
+ * module-level registry; the listener's metrics are defined at the bottom.
+ */
+
+const { logger } = require('./logger');
+
+/** @type {Map<string, Counter|Gauge|Histogram>} Registered metrics by name */
+const registry = new Map();
+/** @type {Array<function(): void>} Callbacks run before every scrape, e.g. to refresh gauges */
+const collectors = [];
+
+/** @type {Array<number>} Default histogram buckets, in seconds */
+const DEFAULT_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+/**
+ * Escapes a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} The escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a label set
+ * @param {Array<string>} labelNames - Label names in order
+ * @param {Object} labels - Label values by name
+ * @param {string} [extra] - Additional preformatted label, e.g. a histogram bucket's `le`
+ * @returns {string} The label set including braces, or an empty string
+ */
+function formatLabels(labelNames, labels, extra) {
+  const pairs = labelNames.map((name) => `${name}="${escapeLabel(labels[name] === undefined ? "" : labels[name])}"`);
+  if (extra) {
+    pairs.push(extra);
+  }
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Base class keeping one value per label combination
+ */
+class Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {Array<string>} [labelNames] - Names of the metric's labels
+   */
+  constructor(name, help, labelNames = []) {
+    /** @type {string} */
+    this.name = name;
+    /** @type {string} */
+    this.help = help;
+    /** @type {Array<string>} */
+    this.labelNames = labelNames;
+    /** @type {Map<string, {labels: Object, value: *}>} Values by serialized label set */
+    this.values = new Map();
+  }
+
+  /**
+   * @returns {string} Metric type in the exposition format
+   */
+  get type() {
+    return "untyped";
+  }
+
+  /**
+   * Renders the metric
+   * @returns {string} Lines in the exposition format
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [labelSet, { value }] of this.values) {
+      lines.push(`${this.name}${labelSet} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Monotonically increasing counter
+ */
+class Counter extends Metric {
+  /** @returns {string} */
+  get type() {
+    return "counter";
+  }
+
+  /**
+   * @param {Object} [labels] - Label values by name
+   * @param {number} [value] - Amount to add
+   */
+  inc(labels = {}, value = 1) {
+    const labelSet = formatLabels(this.labelNames, labels);
+    const current = this.values.get(labelSet);
+    this.values.set(labelSet, { labels, value: (current ? current.value : 0) + value });
+  }
+}
+
+/**
+ * Value that can go up and down
+ */
+class Gauge extends Metric {
+  /** @returns {string} */
+  get type() {
+    return "gauge";
+  }
+
+  /**
+   * @param {Object} labels - Label values by name
+   * @param {number} value - New value
+   */
+  set(labels, value) {
+    this.values.set(formatLabels(this.labelNames, labels), { labels, value });
+  }
+}
+
+/**
+ * Histogram with cumulative buckets
+ */
+class Histogram extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {Array<string>} [labelNames] - Names of the metric's labels
+   * @param {Array<number>} [buckets] - Upper bounds of the buckets, ascending
+   */
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    /** @type {Array<number>} */
+    this.buckets = buckets;
+  }
+
+  /** @returns {string} */
+  get type() {
+    return "histogram";
+  }
+
+  /**
+   * @param {Object} labels - Label values by name
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const labelSet = formatLabels(this.labelNames, labels);
+    if (!this.values.has(labelSet)) {
+      this.values.set(labelSet, { labels, value: { counts: this.buckets.map(() => 0), sum: 0, count: 0 } });
+    }
+    const { value: data } = this.values.get(labelSet);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        data.counts[i]++;
+      }
+    });
+    data.sum += value;
+    data.count++;
+  }
+
+  /**
+   * Renders the buckets, sum and count of every series
+   * @returns {string} Lines in the exposition format
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value: data } of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, labels, `le="${bound}"`)} ${data.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, labels, 'le="+Inf"')} ${data.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, labels)} ${data.sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, labels)} ${data.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Adds a metric to the registry
+ * @param {Metric} metric - The metric
+ * @returns {Metric} The same metric
+ * @throws {Error} When a metric with the same name is already registered
+ */
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * Registers a callback run before every scrape
+ * @param {function(): void} collector - Callback refreshing metric values
+ */
+function registerCollector(collector) {
+  collectors.push(collector);
+}
+
+/**
+ * Renders every registered metric
+ * @returns {string} The metrics in the Prometheus text exposition format
+ */
+function renderMetrics() {
+  for (const collector of collectors) {
+    try {
+      collector();
+    } catch (error) {
+      logger.error("Metrics collector failed", { error });
+    }
+  }
+  return [...registry.values()].map((metric) => metric.render()).join('\n') + '\n';
+}
+
+/** @type {Counter} */
+const eventsReceived = register(new Counter(
+  "oracle_events_received_total",
+  "Oracle events received from the chain",
+  ["network", "event"]
+));
+/** @type {Counter} */
+const eventsSkipped = register(new Counter(
+  "oracle_events_skipped_total",
+  "Oracle events that were not executed",
+  ["network", "event", "reason"]
+));
+/** @type {Histogram} */
+const litExecutionDuration = register(new Histogram(
+  "lit_execute_js_duration_seconds",
+  "Duration of Lit executeJs calls",
+  ["network", "prompt_type"],
+  [1, 2.5, 5, 10, 20, 30, 60, 120]
+));
+/** @type {Counter} */
+const litExecutionFailures = register(new Counter(
+  "lit_execute_js_failures_total",
+  "Lit executeJs calls that threw",
+  ["network", "prompt_type", "error_class"]
+));
+/** @type {Counter} */
+const sessionRenewals = register(new Counter(
+  "lit_session_renewals_total",
+  "Lit session signatures obtained with getNewSessionSigs",
+  ["lit_network"]
+));
+/** @type {Histogram} */
+const llmDuration = register(new Histogram(
+  "llm_request_duration_seconds",
+  "Duration of LLM requests made by the Lit Action",
+  ["network", "prompt_type", "provider", "model"],
+  [0.5, 1, 2.5, 5, 10, 15, 20, 25, 30]
+));
+/** @type {Counter} */
+const llmTokens = register(new Counter(
+  "llm_tokens_total",
+  "Tokens reported in LLM responses",
+  ["network", "prompt_type", "provider", "model", "direction"]
+));
+/** @type {Histogram} */
+const responseGasUsed = register(new Histogram(
+  "oracle_response_gas_used",
+  "Gas used by response transactions",
+  ["network", "kind", "prompt_type"],
+  [50000, 100000, 200000, 400000, 800000, 1600000, 3200000]
+));
+/** @type {Counter} */
+const subscriptionReconnects = register(new Counter(
+  "oracle_subscription_reconnects_total",
+  "WebSocket subscriptions that were lost and reconnected",
+  ["network"]
+));
+/** @type {Counter} */
+const subscriptionStalls = register(new Counter(
+  "oracle_subscription_stalls_total",
+  "Times no new block arrived within the stall timeout",
+  ["network", "mode"]
+));
+/** @type {Gauge} */
+const queueDepth = register(new Gauge(
+  "work_queue_depth",
+  "Work items waiting in the queue"
+));
+/** @type {Gauge} */
+const queueRunning = register(new Gauge(
+  "work_queue_running",
+  "Work items being executed"
+));
+/** @type {Histogram} */
+const queueWait = register(new Histogram(
+  "work_queue_wait_seconds",
+  "Time work items waited in the queue before starting",
+  [],
+  [0.1, 1, 5, 15, 30, 60, 300, 900]
+));
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  register,
+  registerCollector,
+  renderMetrics,
+  eventsReceived,
+  eventsSkipped,
+  litExecutionDuration,
+  litExecutionFailures,
+  sessionRenewals,
+  llmDuration,
+  llmTokens,
+  responseGasUsed,
+  subscriptionReconnects,
+  subscriptionStalls,
+  queueDepth,
+  queueRunning,
+  queueWait
+};
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Network profiles describing each oracle deployment the listener serves.
+ * Profiles are read from the JSON file named by NETWORKS_FILE (an array of profiles),
+ * falling back to DEFAULT_NETWORK_PROFILES from constants.js.
+ * @requires fs
+ */
+
+const fs = require('fs');
+
+const { DEFAULT_NETWORK_PROFILES } = require('./constants');
+
+/**
+ * @typedef {Object} NetworkProfile
+ * @property {string} name - Unique name, used in logs, ledger keys and cursor files
+ * @property {number} chainId - Chain ID of the network
+ * @property {string} rpcUrl - JSON-RPC endpoint
+ * @property {string} oracleAddress - Address of the ChatOracle deployment
+ * @property {number} confirmations - Blocks to wait for before acting on an oracle event or treating
+ *   a response transaction as final
+ * @property {string} litNetwork - Lit network the actions for this deployment run on, e.g. "datil-dev"
+ * @property {string|null} wsUrl - WebSocket endpoint events are pushed over; without one they are polled
+ * @property {number} pollIntervalMs - Milliseconds between getLogs polls while events are polled
+ * @property {number} stallTimeoutMs - Milliseconds without a new block after which the subscription
+ *   alerts and resubscribes
+ * @property {number|null} backfillFromBlock - Block of this network to start backfilling from when no
+ *   cursor has been persisted yet; the current block when null
+ * @property {string} contextStrategy - How the Lit Action fits conversations longer than the model's
+ *   context window: "drop_oldest", "keep_first" or "summarize"
+ * @property {Object<string, number>} contextWindows - Context windows in tokens by model name or name
+ *   prefix, e.g. {"gpt-4.1": 1047576}, for models the Lit Action does not know or knows wrongly;
+ *   conversations for models of unknown window are sent untrimmed
+ * @property {string} oversizePolicy - How the Lit Action reduces responses too large to submit:
+ *   "truncate", "shorten" or "offload". The steps applied are recorded on-chain in the response's
+ *   `object` field, e.g. "chat.completion; oversize=shortened,truncated"
+ * @property {number|null} maxResponseGas - Gas a response submission may use; half the latest block's
+ *   gas limit when null
+ */
+
+/** @type {Array<string>} Fields every profile must define */
+const REQUIRED_FIELDS = ["name", "chainId", "rpcUrl", "oracleAddress"];
+
+/**
+ * Validates a profile and fills in optional fields
+ * @param {Object} profile - Profile as configured
+ * @returns {NetworkProfile} The complete profile
+ * @throws {Error} When a required field is missing
+ */
+function normalizeProfile(profile) {
+  for (const field of REQUIRED_FIELDS) {
+    if (profile[field] === undefined || profile[field] === "") {
+      throw new Error(`Network profile ${profile.name || "(unnamed)"} is missing "${field}"`);
+    }
+  }
+  return {
+    confirmations: 1,
+    litNetwork: "datil-dev",
+    wsUrl: null,
+    pollIntervalMs: 4000,
+    stallTimeoutMs: 120000,
+    backfillFromBlock: null,
+    contextStrategy: "drop_oldest",
+    contextWindows: {},
+    oversizePolicy: "truncate",
+    maxResponseGas: null,
+    ...profile,
+    chainId: Number(profile.chainId),
+  };
+}
+
+/**
+ * Loads the configured network profiles
+ * @param {string} [file] - JSON file holding an array of profiles
+ * @returns {Array<NetworkProfile>} The profiles
+ * @throws {Error} When the file is invalid or profile names are not unique
+ */
+function loadNetworkProfiles(file = process.env.NETWORKS_FILE) {
+  const profiles = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : DEFAULT_NETWORK_PROFILES;
+  if (!Array.isArray(profiles) || profiles.length === 0) {
+    throw new Error(`${file} must contain a non-empty array of network profiles`);
+  }
+
+  const normalized = profiles.map(normalizeProfile);
+  const names = new Set();
+  for (const { name } of normalized) {
+    if (names.has(name)) {
+      throw new Error(`Duplicate network profile name: ${name}`);
+    }
+    names.add(name);
+  }
+  return normalized;
+}
+
+module.exports = {
+  loadNetworkProfiles
+};
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Retry policy for oracle work. Errors are classified as transient
+ * (RPC and network failures, 5xx responses, rate limits, Lit node timeouts) or
+ * permanent; transient ones are retried with jittered exponential backoff until
+ * the attempt limit is reached.
+ */
+
+/** @type {number} Attempts made before giving up on a transient error */
+const RETRY_MAX_ATTEMPTS = parseInt(process.env.RETRY_MAX_ATTEMPTS || "5", 10);
+/** @type {number} Backoff before the first retry, in milliseconds */
+const RETRY_BASE_DELAY_MS = parseInt(process.env.RETRY_BASE_DELAY_MS || "1000", 10);
+/** @type {number} Upper bound for a single backoff, in milliseconds */
+const RETRY_MAX_DELAY_MS = parseInt(process.env.RETRY_MAX_DELAY_MS || "60000", 10);
+
+/**
+ * Error classes
+ * @enum {string}
+ */
+const ERROR_CLASSES = {
+  TRANSIENT: "transient",
+  PERMANENT: "permanent",
+};
+
+/** @type {Set<string>} ethers error codes caused by the RPC endpoint rather than the request */
+const TRANSIENT_ETHERS_CODES = new Set(["NETWORK_ERROR", "SERVER_ERROR", "TIMEOUT"]);
+
+/**
+ * @type {Set<string>} ethers error codes for a call the contract rejected. A view call that reverts
+ * reverts again on every retry, even when the node answered it with a 5xx that ends up in the message
+ */
+const PERMANENT_ETHERS_CODES = new Set(["CALL_EXCEPTION"]);
+
+/** @type {Set<string>} Node.js system error codes for failed connections */
+const TRANSIENT_SYSTEM_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_SOCKET",
+]);
+
+/** @type {Array<RegExp>} Messages of transient errors that carry no usable code */
+const TRANSIENT_MESSAGE_PATTERNS = [
+  /invalid sessionsigs/i,
+  /timed? ?out/i,
+  /rate limit|too many requests/i,
+  /socket hang up|network error|fetch failed/i,
+  /(status|returned)\D{0,8}(429|5\d\d)\b/i,
+  /not enough (nodes|responses)|node.*not ready/i,
+];
+
+/**
+ * Classifies an error as transient or permanent. Errors that carry an `errorClass` keep it;
+ * anything else not recognized as transient is permanent.
+ * @param {Error} error - The error to classify
+ * @returns {ERROR_CLASSES} The error class
+ */
+function classifyError(error) {
+  if (!error) {
+    return ERROR_CLASSES.PERMANENT;
+  }
+  if (Object.values(ERROR_CLASSES).includes(error.errorClass)) {
+    return error.errorClass;
+  }
+  if (PERMANENT_ETHERS_CODES.has(error.code)) {
+    return ERROR_CLASSES.PERMANENT;
+  }
+  const status = error.status || error.statusCode;
+  if (status === 429 || (status >= 500 && status < 600)) {
+    return ERROR_CLASSES.TRANSIENT;
+  }
+  if (TRANSIENT_ETHERS_CODES.has(error.code) || TRANSIENT_SYSTEM_CODES.has(error.code)) {
+    return ERROR_CLASSES.TRANSIENT;
+  }
+  if (error.cause && classifyError(error.cause) === ERROR_CLASSES.TRANSIENT) {
+    return ERROR_CLASSES.TRANSIENT;
+  }
+  const message = error.message || String(error);
+  return TRANSIENT_MESSAGE_PATTERNS.some((pattern) => pattern.test(message))
+    ? ERROR_CLASSES.TRANSIENT
+    : ERROR_CLASSES.PERMANENT;
+}
+
+/**
+ * @param {Error} error - The error to check
+ * @returns {boolean} Whether the error means the Lit session signatures must be renewed
+ */
+function isSessionError(error) {
+  return Boolean(error && error.message && error.message.includes("Invalid sessionSigs"));
+}
+
+/**
+ * Computes the backoff before a retry, using exponential backoff with full jitter
+ * @param {number} attempt - Number of the attempt that just failed, starting at 1
+ * @param {number} [baseDelayMs] - Backoff before the first retry
+ * @param {number} [maxDelayMs] - Upper bound for the backoff
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, baseDelayMs = RETRY_BASE_DELAY_MS, maxDelayMs = RETRY_MAX_DELAY_MS) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Error thrown once an operation has failed for good. The original error is kept as `cause`.
+ */
+class RetryError extends Error {
+  /**
+   * @param {Error} cause - The last error raised by the operation
+   * @param {number} attempts - Number of attempts made
+   * @param {ERROR_CLASSES} errorClass - Class of the last error
+   */
+  constructor(cause, attempts, errorClass) {
+    super(cause && cause.message ? cause.message : String(cause));
+    this.name = "RetryError";
+    /** @type {Error} */
+    this.cause = cause;
+    /** @type {number} */
+    this.attempts = attempts;
+    /** @type {ERROR_CLASSES} */
+    this.errorClass = errorClass;
+    /** @type {boolean} Whether the operation gave up after running out of attempts on a transient error */
+    this.exhausted = errorClass === ERROR_CLASSES.TRANSIENT;
+  }
+}
+
+/**
+ * Runs an operation, retrying transient failures with jittered exponential backoff
+ * @param {function(number): Promise<*>} operation - The operation, called with the attempt number starting at 1
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Attempts made before giving up
+ * @param {number} [options.baseDelayMs] - Backoff before the first retry
+ * @param {number} [options.maxDelayMs] - Upper bound for a single backoff
+ * @param {function(Error, number, number): (void|Promise<void>)} [options.onRetry] - Called with the
+ *   error, the failed attempt number and the backoff before the next attempt
+ * @param {function(number): Promise<void>} [options.sleep] - Waits out a backoff; defaults to a timer
+ * @returns {Promise<*>} The operation's result
+ * @throws {RetryError} When the error is permanent or the attempts are exhausted
+ */
+async function withRetry(operation, {
+  maxAttempts = RETRY_MAX_ATTEMPTS,
+  baseDelayMs = RETRY_BASE_DELAY_MS,
+  maxDelayMs = RETRY_MAX_DELAY_MS,
+  onRetry,
+  sleep = (delayMs) => new Promise((resolve) => setTimeout(resolve, delayMs)),
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      const errorClass = classifyError(error);
+      if (errorClass === ERROR_CLASSES.PERMANENT || attempt >= maxAttempts) {
+        throw new RetryError(error, attempt, errorClass);
+      }
+      const delayMs = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+      if (onRetry) {
+        await onRetry(error, attempt, delayMs);
+      }
+      await sleep(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  RETRY_MAX_ATTEMPTS,
+  ERROR_CLASSES,
+  RetryError,
+  classifyError,
+  isSessionError,
+  backoffDelay,
+  withRetry
+};
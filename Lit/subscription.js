@@ -0,0 +1,394 @@
+/**
+ * @fileoverview Oracle event subscription that keeps delivering events when RPC nodes
+ * drop filters or connections. With a WebSocket URL, logs and new blocks are pushed over
+ * eth_subscribe and the connection is re-established with backoff whenever it closes.
+ * While it is down, and on networks without one, logs are polled with getLogs from an
+ * in-memory block cursor. A watchdog alerts and resubscribes when no new block arrives
+ * within the stall timeout.
+ * @requires ethers
+ */
+
+const ethers = require("ethers");
+
+const { backoffDelay } = require('./retry');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+/** @type {number} Milliseconds a WebSocket connection may take to open */
+const WS_CONNECT_TIMEOUT_MS = parseInt(process.env.WS_CONNECT_TIMEOUT_MS || "30000", 10);
+/** @type {number} Backoff before the first reconnection attempt, in milliseconds */
+const WS_RECONNECT_BASE_DELAY_MS = 1000;
+/** @type {number} Upper bound for the reconnection backoff, in milliseconds */
+const WS_RECONNECT_MAX_DELAY_MS = 60000;
+/** @type {number} Blocks below the head polled again when falling back from the WebSocket */
+const RESCAN_BLOCKS = 5;
+/** @type {number} Blocks for which delivered logs are remembered to drop duplicates */
+const SEEN_WINDOW_BLOCKS = 128;
+
+/**
+ * @typedef {Object} SubscriptionOptions
+ * @property {string} name - Name of the network, for logs and metrics
+ * @property {ethers.providers.JsonRpcProvider} provider - HTTP provider used for polling
+ * @property {ethers.Contract} contract - The oracle deployment, used for its address and interface
+ * @property {number} chainId - Chain ID of the network
+ * @property {string|null} [wsUrl] - WebSocket endpoint; without one logs are always polled
+ * @property {number} [pollIntervalMs] - Milliseconds between polls
+ * @property {number} [stallTimeoutMs] - Milliseconds without a new block after which the watchdog fires
+ * @property {number} [pageSize] - Blocks requested per getLogs call
+ * @property {function(Object): void} onEvent - Called with every decoded oracle event; events whose
+ *   log was removed by a reorganization have `removed` set
+ * @property {function(number): void} [onBlock] - Called with the number of every new head block
+ */
+
+/**
+ * Subscription to the oracle's events, pushed over a WebSocket when possible and polled otherwise
+ */
+class OracleSubscription {
+  /**
+   * @param {SubscriptionOptions} options
+   */
+  constructor({
+    name,
+    provider,
+    contract,
+    chainId,
+    wsUrl = null,
+    pollIntervalMs = 4000,
+    stallTimeoutMs = 120000,
+    pageSize = 2000,
+    onEvent,
+    onBlock = () => {},
+  }) {
+    /** @type {string} */
+    this.name = name;
+    /** @type {ethers.providers.JsonRpcProvider} */
+    this.provider = provider;
+    /** @type {ethers.Contract} */
+    this.contract = contract;
+    /** @type {number} */
+    this.chainId = chainId;
+    /** @type {string|null} */
+    this.wsUrl = wsUrl;
+    /** @type {number} */
+    this.pollIntervalMs = pollIntervalMs;
+    /** @type {number} */
+    this.stallTimeoutMs = stallTimeoutMs;
+    /** @type {number} */
+    this.pageSize = pageSize;
+    /** @type {function(Object): void} */
+    this.onEvent = onEvent;
+    /** @type {function(number): void} */
+    this.onBlock = onBlock;
+    /** @type {import('./logger').Logger} */
+    this.log = logger.child({ network: name });
+
+    /** @type {number|null} Last block whose logs were delivered */
+    this.cursor = null;
+    /** @type {number|null} Highest block seen */
+    this.head = null;
+    /** @type {number} Time the head last advanced, in milliseconds */
+    this.lastBlockAt = 0;
+    /** @type {number} Time the watchdog last fired, in milliseconds */
+    this.lastStallAt = 0;
+    /** @type {Map<string, number>} Delivered logs by block hash and log index, with their block number */
+    this.seen = new Map();
+    /** @type {ethers.providers.WebSocketProvider|null} Current WebSocket provider, open or connecting */
+    this.wsProvider = null;
+    /** @type {boolean} Whether the WebSocket subscription is established */
+    this.connected = false;
+    /** @type {boolean} Whether the logs missed before the WebSocket connected have been polled */
+    this.caughtUp = false;
+    /** @type {number} Failed connections since the WebSocket was last established */
+    this.reconnectAttempts = 0;
+    /** @type {boolean} Whether a poll is running */
+    this.polling = false;
+    /** @type {boolean} Whether the subscription is stopped */
+    this.stopped = true;
+    /** @type {NodeJS.Timeout|null} */
+    this.pollTimer = null;
+    /** @type {NodeJS.Timeout|null} */
+    this.reconnectTimer = null;
+    /** @type {NodeJS.Timeout|null} */
+    this.connectTimer = null;
+    /** @type {NodeJS.Timeout|null} */
+    this.watchdogTimer = null;
+  }
+
+  /**
+   * @returns {string} "websocket" while events are pushed, "polling" otherwise
+   */
+  get mode() {
+    return this.connected && this.caughtUp ? "websocket" : "polling";
+  }
+
+  /**
+   * Starts delivering events
+   * @param {number} fromBlock - First block whose logs are delivered
+   */
+  start(fromBlock) {
+    this.stopped = false;
+    this.cursor = fromBlock - 1;
+    this.lastBlockAt = Date.now();
+    if (this.wsUrl) {
+      this.connect();
+    }
+    this.schedulePoll(0);
+    this.watchdogTimer = setInterval(() => this.checkStall(), Math.max(1000, Math.floor(this.stallTimeoutMs / 4)));
+  }
+
+  /**
+   * Stops delivering events and closes the WebSocket
+   */
+  stop() {
+    this.stopped = true;
+    clearInterval(this.watchdogTimer);
+    clearTimeout(this.pollTimer);
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.connectTimer);
+    this.pollTimer = null;
+    this.reconnectTimer = null;
+    if (this.wsProvider) {
+      this.closeProvider(this.wsProvider);
+    }
+  }
+
+  /**
+   * Drops the current subscription and subscribes again
+   * @param {string} reason - Why, for logs
+   */
+  resubscribe(reason) {
+    if (this.stopped) {
+      return;
+    }
+    if (this.wsProvider) {
+      this.onDisconnected(this.wsProvider, reason);
+      return;
+    }
+    if (this.wsUrl) {
+      clearTimeout(this.reconnectTimer);
+      this.connect();
+    }
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    this.schedulePoll(0);
+  }
+
+  /**
+   * Reports the subscription's state
+   * @returns {{mode: string, websocket: string, headBlock: number|null, cursor: number|null,
+   *   lastBlockAgeMs: number, stalled: boolean}} Subscription status
+   */
+  status() {
+    const lastBlockAgeMs = Date.now() - this.lastBlockAt;
+    let websocket = "not configured";
+    if (this.wsUrl) {
+      websocket = this.connected ? "connected" : "reconnecting";
+    }
+    return {
+      mode: this.mode,
+      websocket,
+      headBlock: this.head,
+      cursor: this.cursor,
+      lastBlockAgeMs,
+      stalled: !this.stopped && lastBlockAgeMs > this.stallTimeoutMs,
+    };
+  }
+
+  /**
+   * Opens a WebSocket provider. Polling continues until it is connected and caught up.
+   */
+  connect() {
+    if (this.stopped) {
+      return;
+    }
+    const provider = new ethers.providers.WebSocketProvider(this.wsUrl, this.chainId);
+    this.wsProvider = provider;
+    const socket = provider._websocket;
+    socket.addEventListener("open", () => this.onConnected(provider));
+    socket.addEventListener("close", () => this.onDisconnected(provider, "connection closed"));
+    socket.addEventListener("error", (error) => this.onDisconnected(provider, error.message || "connection error"));
+    this.connectTimer = setTimeout(() => this.onDisconnected(provider, "connection timed out"), WS_CONNECT_TIMEOUT_MS);
+  }
+
+  /**
+   * Subscribes to logs and blocks once a WebSocket is open, then polls the gap since the cursor
+   * @param {ethers.providers.WebSocketProvider} provider - The provider that connected
+   */
+  onConnected(provider) {
+    if (provider !== this.wsProvider || this.stopped) {
+      return;
+    }
+    clearTimeout(this.connectTimer);
+    this.connected = true;
+    this.caughtUp = false;
+    this.reconnectAttempts = 0;
+    provider.on("block", (blockNumber) => this.noteBlock(blockNumber));
+    provider.on({ address: this.contract.address }, (log) => this.deliver(log));
+    this.log.info("WebSocket subscription established");
+
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    this.schedulePoll(0);
+  }
+
+  /**
+   * Falls back to polling when the WebSocket closes, fails or stalls, and schedules a reconnection
+   * @param {ethers.providers.WebSocketProvider} provider - The provider that failed
+   * @param {string} reason - Why, for logs
+   */
+  onDisconnected(provider, reason) {
+    if (provider !== this.wsProvider) {
+      return;
+    }
+    this.closeProvider(provider);
+    if (this.stopped) {
+      return;
+    }
+
+    this.reconnectAttempts++;
+    const delayMs = backoffDelay(this.reconnectAttempts, WS_RECONNECT_BASE_DELAY_MS, WS_RECONNECT_MAX_DELAY_MS);
+    this.log.warn("WebSocket subscription lost, polling until it reconnects", {
+      reason,
+      attempt: this.reconnectAttempts,
+      delayMs,
+    });
+    metrics.subscriptionReconnects.inc({ network: this.name });
+    this.schedulePoll(0);
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.connect(), delayMs);
+  }
+
+  /**
+   * Detaches and destroys a WebSocket provider
+   * @param {ethers.providers.WebSocketProvider} provider - The provider
+   */
+  closeProvider(provider) {
+    clearTimeout(this.connectTimer);
+    this.wsProvider = null;
+    this.connected = false;
+    this.caughtUp = false;
+    provider.removeAllListeners();
+    provider.destroy().catch(() => {});
+  }
+
+  /**
+   * Schedules the next poll unless the WebSocket delivers the events
+   * @param {number} [delayMs] - Milliseconds to wait
+   */
+  schedulePoll(delayMs = this.pollIntervalMs) {
+    if (this.stopped || this.pollTimer || this.mode === "websocket") {
+      return;
+    }
+    this.pollTimer = setTimeout(async () => {
+      this.pollTimer = null;
+      if (this.stopped || this.mode === "websocket") {
+        return;
+      }
+      this.polling = true;
+      try {
+        await this.poll();
+        if (this.connected) {
+          this.caughtUp = true;
+        }
+      } catch (error) {
+        this.log.warn("Polling for oracle events failed", { error });
+      } finally {
+        this.polling = false;
+      }
+      this.schedulePoll();
+    }, delayMs);
+  }
+
+  /**
+   * Delivers the logs between the cursor and the current head
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    const headBlock = await this.provider.getBlockNumber();
+    this.noteBlock(headBlock);
+
+    let fromBlock = this.cursor + 1;
+    while (fromBlock <= headBlock && !this.stopped) {
+      const toBlock = Math.min(fromBlock + this.pageSize - 1, headBlock);
+      const logs = await this.provider.getLogs({ address: this.contract.address, fromBlock, toBlock });
+      for (const log of logs) {
+        this.deliver(log);
+      }
+      this.cursor = Math.max(this.cursor, toBlock);
+      fromBlock = toBlock + 1;
+    }
+  }
+
+  /**
+   * Records a new head block and passes it on
+   * @param {number} blockNumber - The block number
+   */
+  noteBlock(blockNumber) {
+    if (this.head !== null && blockNumber <= this.head) {
+      return;
+    }
+    this.head = blockNumber;
+    this.lastBlockAt = Date.now();
+    // Pushed logs cover the head, but a few blocks are polled again after a fallback
+    // because logs can arrive after their block's header
+    if (this.mode === "websocket" && !this.polling) {
+      this.cursor = Math.max(this.cursor, blockNumber - RESCAN_BLOCKS);
+    }
+    for (const [key, seenBlock] of this.seen) {
+      if (seenBlock < blockNumber - SEEN_WINDOW_BLOCKS) {
+        this.seen.delete(key);
+      }
+    }
+    this.onBlock(blockNumber);
+  }
+
+  /**
+   * Decodes a log and passes it on, dropping logs already delivered and logs of other events
+   * @param {Object} log - Raw log
+   */
+  deliver(log) {
+    const key = `${log.blockHash}:${log.logIndex}`;
+    if (log.removed) {
+      this.seen.delete(key);
+    } else if (this.seen.has(key)) {
+      return;
+    } else {
+      this.seen.set(key, log.blockNumber);
+    }
+
+    let parsed;
+    try {
+      parsed = this.contract.interface.parseLog(log);
+    } catch (error) {
+      return;
+    }
+    this.onEvent({
+      ...log,
+      event: parsed.name,
+      eventSignature: parsed.signature,
+      args: parsed.args,
+    });
+  }
+
+  /**
+   * Alerts and resubscribes when the head has not advanced within the stall timeout
+   */
+  checkStall() {
+    const silentMs = Date.now() - this.lastBlockAt;
+    if (this.stopped || silentMs < this.stallTimeoutMs || Date.now() - this.lastStallAt < this.stallTimeoutMs) {
+      return;
+    }
+    this.lastStallAt = Date.now();
+    this.log.error("No new blocks within the stall timeout, resubscribing", {
+      silentMs,
+      mode: this.mode,
+      headBlock: this.head,
+    });
+    metrics.subscriptionStalls.inc({ network: this.name, mode: this.mode });
+    this.resubscribe("stalled");
+  }
+}
+
+module.exports = {
+  OracleSubscription
+};
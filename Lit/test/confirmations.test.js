@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Tests for ConfirmationTracker: confirmation depth and chain reorganizations
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ConfirmationTracker } = require('../confirmations');
+
+/** @type {string} Address of the stub oracle */
+const ORACLE = "0x00000000000000000000000000000000000000aa";
+/** @type {string} Topic of the stub event */
+const TOPIC = "0xprompt";
+
+/**
+ * Stub provider serving canonical block hashes and receipts the test sets
+ * @returns {{provider: Object, blocks: Map<number, string>, receipts: Map<string, Object>}} The provider
+ *   and the maps backing it
+ */
+function stubChain() {
+  const blocks = new Map();
+  const receipts = new Map();
+  const provider = {
+    getBlock: async (blockNumber) => (blocks.has(blockNumber) ? { number: blockNumber, hash: blocks.get(blockNumber) } : null),
+    getTransactionReceipt: async (hash) => receipts.get(hash) || null,
+    on: () => {},
+    off: () => {},
+  };
+  return { provider, blocks, receipts };
+}
+
+/** @type {Object} Stub oracle contract decoding logs into their data */
+const contract = {
+  address: ORACLE,
+  interface: { parseLog: (log) => ({ args: { promptId: log.data } }) },
+};
+
+/**
+ * Builds an event as the provider delivers it
+ * @param {number} blockNumber - Block the event was seen in
+ * @param {string} blockHash - Hash of that block
+ * @param {string} [transactionHash] - Transaction that emitted the event
+ * @returns {Object} The event
+ */
+function eventAt(blockNumber, blockHash, transactionHash = "0xtx") {
+  return { blockNumber, blockHash, transactionHash, logIndex: 0, topics: [TOPIC], data: "0x01", args: { promptId: "0x01" } };
+}
+
+/**
+ * Tracks an event and records what happens to it
+ * @param {ConfirmationTracker} tracker - The tracker
+ * @param {Object} event - The event
+ * @returns {{confirmed: Array<Object>, cancelled: Array<Object>}} Events passed to each callback
+ */
+function track(tracker, event) {
+  const outcome = { confirmed: [], cancelled: [] };
+  tracker.track(event, (confirmed) => outcome.confirmed.push(confirmed), (cancelled) => outcome.cancelled.push(cancelled));
+  return outcome;
+}
+
+describe("ConfirmationTracker", () => {
+  it("passes events on right away with a depth of one block", () => {
+    const { provider } = stubChain();
+    const tracker = new ConfirmationTracker({ provider, contract, confirmations: 1 });
+    const outcome = track(tracker, eventAt(10, "0xb10"));
+    assert.strictEqual(outcome.confirmed.length, 1);
+    assert.strictEqual(tracker.pending.size, 0);
+  });
+
+  it("holds events until their block is deep enough", async () => {
+    const { provider, blocks } = stubChain();
+    blocks.set(10, "0xb10");
+    const tracker = new ConfirmationTracker({ provider, contract, confirmations: 3 });
+    const outcome = track(tracker, eventAt(10, "0xb10"));
+
+    await tracker.check(11);
+    assert.strictEqual(outcome.confirmed.length, 0);
+    await tracker.check(12);
+    assert.strictEqual(outcome.confirmed.length, 1);
+    assert.strictEqual(tracker.pending.size, 0);
+  });
+
+  it("cancels an event whose transaction was reorganized away", async () => {
+    const { provider, blocks } = stubChain();
+    blocks.set(10, "0xother");
+    const tracker = new ConfirmationTracker({ provider, contract, confirmations: 2 });
+    const outcome = track(tracker, eventAt(10, "0xb10"));
+
+    await tracker.check(11);
+    assert.strictEqual(outcome.confirmed.length, 0);
+    assert.strictEqual(outcome.cancelled.length, 1);
+    assert.strictEqual(tracker.pending.size, 0);
+  });
+
+  it("restarts the wait for an event whose transaction moved to another block", async () => {
+    const { provider, blocks, receipts } = stubChain();
+    blocks.set(10, "0xother");
+    blocks.set(11, "0xb11");
+    receipts.set("0xtx", {
+      logs: [{ address: ORACLE, topics: [TOPIC], data: "0x01", blockNumber: 11, blockHash: "0xb11", logIndex: 3 }],
+    });
+    const tracker = new ConfirmationTracker({ provider, contract, confirmations: 2 });
+    const outcome = track(tracker, eventAt(10, "0xb10"));
+
+    await tracker.check(11);
+    assert.strictEqual(outcome.confirmed.length, 0);
+    assert.strictEqual(outcome.cancelled.length, 0);
+    assert.strictEqual(tracker.pending.size, 1);
+
+    await tracker.check(12);
+    assert.strictEqual(outcome.confirmed.length, 1);
+    const [moved] = outcome.confirmed;
+    assert.strictEqual(moved.blockNumber, 11);
+    assert.strictEqual(moved.blockHash, "0xb11");
+    assert.strictEqual(moved.logIndex, 3);
+    assert.deepStrictEqual(moved.args, { promptId: "0x01" });
+  });
+
+  it("keeps an event for the next block when its reorg check fails", async () => {
+    const { provider, blocks } = stubChain();
+    blocks.set(10, "0xother");
+    provider.getTransactionReceipt = async () => {
+      throw new Error("bad response");
+    };
+    const tracker = new ConfirmationTracker({ provider, contract, confirmations: 2 });
+    const outcome = track(tracker, eventAt(10, "0xb10"));
+
+    await assert.rejects(tracker.check(11), /bad response/);
+    assert.strictEqual(tracker.pending.size, 1);
+    assert.strictEqual(outcome.cancelled.length, 0);
+  });
+
+  it("cancels removed events and drains pending ones", () => {
+    const { provider } = stubChain();
+    const tracker = new ConfirmationTracker({ provider, contract, confirmations: 5 });
+    const first = eventAt(10, "0xb10", "0xtx1");
+    const outcome = track(tracker, first);
+    track(tracker, eventAt(11, "0xb11", "0xtx2"));
+
+    assert.strictEqual(tracker.remove(first), true);
+    assert.strictEqual(tracker.remove(first), false);
+    assert.deepStrictEqual(outcome.cancelled, [first]);
+    assert.deepStrictEqual(tracker.drain().map((event) => event.transactionHash), ["0xtx2"]);
+    assert.strictEqual(tracker.pending.size, 0);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Tests for ProcessingLedger: persistence, unfinished work, requeueing and compaction
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProcessingLedger, STATES, promptKey, keyKind } = require('../ledger');
+
+describe("ProcessingLedger", () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+    file = path.join(dir, 'ledger.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * @returns {Array<Object>} The lines of the ledger file
+   */
+  const lines = () => fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+
+  it("lists the entries that have not reached a terminal state", () => {
+    const ledger = new ProcessingLedger(file);
+    ledger.record("n:prompt:1", { state: STATES.RECEIVED });
+    ledger.record("n:prompt:2", { state: STATES.SUBMITTED, txHash: "0x2" });
+    ledger.record("n:prompt:3", { state: STATES.CONFIRMED });
+    ledger.record("n:prompt:4", { state: STATES.FAILED });
+    ledger.record("n:prompt:5", { state: STATES.DEAD });
+    ledger.record("n:prompt:6", { state: STATES.RETRYING });
+
+    assert.deepStrictEqual(ledger.unfinished().map((entry) => entry.key), ["n:prompt:1", "n:prompt:2", "n:prompt:6"]);
+  });
+
+  it("requeues dead entries only", () => {
+    const ledger = new ProcessingLedger(file);
+    ledger.record("n:prompt:1", { state: STATES.RECEIVED });
+    ledger.record("n:prompt:1", { state: STATES.DEAD, error: "timed out", attempts: 5 });
+    ledger.record("n:prompt:2", { state: STATES.CONFIRMED });
+
+    const requeued = ledger.requeue("n:prompt:1");
+    assert.strictEqual(requeued.state, STATES.RECEIVED);
+    assert.strictEqual(requeued.attempts, 0);
+    assert.strictEqual(requeued.error, null);
+    assert.deepStrictEqual(requeued.history.map((item) => item.state), [STATES.RECEIVED, STATES.DEAD, STATES.RECEIVED]);
+    assert.deepStrictEqual(ledger.unfinished().map((entry) => entry.key), ["n:prompt:1"]);
+
+    assert.throws(() => ledger.requeue("n:prompt:2"), /only dead entries can be requeued/);
+    assert.throws(() => ledger.requeue("n:prompt:3"), /No ledger entry/);
+  });
+
+  it("appends only the changed fields and restores the entries from them", () => {
+    const ledger = new ProcessingLedger(file);
+    ledger.record("n:prompt:1", { state: STATES.RECEIVED, promptId: 1 });
+    ledger.record("n:prompt:1", { state: STATES.SUBMITTED, result: "a long answer", txHash: "0x1" });
+    ledger.record("n:prompt:1", { state: STATES.CONFIRMED });
+
+    const [, , last] = lines();
+    assert.strictEqual(last.state, STATES.CONFIRMED);
+    assert.strictEqual(last.result, undefined, "unchanged fields are not written again");
+
+    const reloaded = new ProcessingLedger(file);
+    assert.deepStrictEqual(reloaded.get("n:prompt:1"), ledger.get("n:prompt:1"));
+    assert.strictEqual(reloaded.get("n:prompt:1").result, "a long answer");
+    assert.strictEqual(reloaded.get("n:prompt:1").history.length, 3);
+  });
+
+  it("compacts the file once it holds too many lines", () => {
+    const ledger = new ProcessingLedger(file, { compactLines: 4 });
+    ledger.record("n:prompt:1", { state: STATES.RECEIVED });
+    ledger.record("n:prompt:1", { state: STATES.EXECUTING });
+    ledger.record("n:prompt:1", { state: STATES.SUBMITTED });
+    ledger.record("n:prompt:1", { state: STATES.CONFIRMED });
+    assert.strictEqual(lines().length, 4);
+
+    ledger.record("n:prompt:2", { state: STATES.RECEIVED });
+    assert.strictEqual(lines().length, 2);
+    assert.deepStrictEqual(new ProcessingLedger(file).list(), ledger.list());
+  });
+
+  it("skips malformed lines when loading", () => {
+    fs.writeFileSync(file, `${JSON.stringify({ key: "n:prompt:1", state: STATES.RECEIVED })}\n{"key":\n`);
+    const ledger = new ProcessingLedger(file);
+    assert.deepStrictEqual(ledger.list().map((entry) => entry.key), ["n:prompt:1"]);
+  });
+});
+
+describe("ledger keys", () => {
+  it("names the kind of work item", () => {
+    assert.strictEqual(promptKey("scroll-sepolia", 42), "scroll-sepolia:prompt:42");
+    assert.strictEqual(keyKind("scroll-sepolia:kbQuery:7"), "kbQuery");
+    assert.strictEqual(keyKind("local:8545:function:3"), "function");
+  });
+});
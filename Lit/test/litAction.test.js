@@ -0,0 +1,478 @@
+/**
+ * @fileoverview Tests for litAction.js. The action is a self-contained script, so it is run
+ * in a vm sandbox with stubs for the oracle contract, the LLM providers and the Lit globals,
+ * and checked through the requests it sends and the response it submits.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { ethers } = require('ethers');
+
+/** @type {string} Source of the Lit Action */
+const ACTION_CODE = fs.readFileSync(path.join(__dirname, '..', 'litAction.js'), 'utf8');
+
+/** @type {Object} Request configuration of a prompt created without one */
+const UNSET_CONFIG = {
+  model: "",
+  maxTokens: 0,
+  temperature: 0,
+  topP: 0,
+  frequencyPenalty: 0,
+  presencePenalty: 0,
+  logitBias: "",
+  responseFormat: "",
+  seed: 0,
+  stop: "",
+  tools: "",
+  toolChoice: "",
+  user: "",
+};
+
+/** @type {Object<string, {configurationMethod: string, responseMethod: string}>} Oracle methods by promptType */
+const ORACLE_METHODS = {
+  default: { configurationMethod: "llmConfigurations", responseMethod: "addResponse" },
+  OpenAI: { configurationMethod: "openAiConfigurations", responseMethod: "addOpenAiResponse" },
+  Groq: { configurationMethod: "groqConfigurations", responseMethod: "addGroqResponse" },
+};
+
+/**
+ * Builds an Anthropic Messages API reply
+ * @param {string|Array<Object>} content - Text of the reply, or its content blocks
+ * @returns {Object} The reply
+ */
+function anthropicReply(content) {
+  return {
+    id: "msg_1",
+    model: "claude-3-5-sonnet-20240620",
+    content: typeof content === 'string' ? [{ type: "text", text: content }] : content,
+    usage: { input_tokens: 12, output_tokens: 34 },
+  };
+}
+
+/**
+ * Builds an OpenAI chat completion reply
+ * @param {string} content - Text of the reply
+ * @returns {Object} The reply
+ */
+function openAiReply(content) {
+  return {
+    id: "chatcmpl-1",
+    object: "chat.completion",
+    model: "gpt-4o-mini",
+    choices: [{ message: { role: "assistant", content } }],
+    usage: { prompt_tokens: 12, completion_tokens: 34, total_tokens: 46 },
+  };
+}
+
+/**
+ * @typedef {Object} ActionRun
+ * @property {Array<Object>} requests - Bodies of the requests sent to LLM providers, in order
+ * @property {Array<{fields: Object, errorMessage: string}>} submitted - Responses submitted to the oracle
+ * @property {Object} response - The parsed response the action set
+ * @property {Array<Object>} logs - Parsed log lines
+ */
+
+/**
+ * Runs the Lit Action for one prompt
+ * @param {Object} options
+ * @param {string} [options.promptType] - The oracle promptType of the prompt
+ * @param {Object} [options.config] - Stored request configuration, merged over UNSET_CONFIG
+ * @param {Array} [options.messagesRoles] - [role, Content[]] pairs of the prompt
+ * @param {Array<Object>} options.replies - Provider replies, served in order
+ * @param {function(Object): ethers.BigNumber} [options.estimateGas] - Gas of submitting response fields;
+ *   may throw to simulate a revert
+ * @param {Object} [options.params] - Further jsParams, e.g. contextStrategy or maxResponseGas
+ * @returns {Promise<ActionRun>} What the action did
+ */
+async function runAction({ promptType = "default", config = {}, messagesRoles, replies, estimateGas, params = {} }) {
+  const requests = [];
+  const submitted = [];
+  const logs = [];
+  const methods = ORACLE_METHODS[promptType];
+  const storedConfig = { ...UNSET_CONFIG, ...config };
+
+  const contract = {
+    promptType: async () => promptType,
+    [methods.configurationMethod]: async () => storedConfig,
+    estimateGas: {
+      [methods.responseMethod]: async (id, callbackId, fields) =>
+        (estimateGas ? estimateGas(fields) : ethers.BigNumber.from(100000)),
+    },
+    [methods.responseMethod]: async (id, callbackId, fields, errorMessage) => {
+      submitted.push({ fields, errorMessage });
+      return { hash: `0x${submitted.length}` };
+    },
+  };
+  const sandboxEthers = {
+    ...ethers,
+    providers: { JsonRpcProvider: function JsonRpcProvider() {} },
+    Wallet: { fromMnemonic: () => ({ connect: () => ({}) }) },
+    Contract: function Contract() {
+      return contract;
+    },
+  };
+  const fetch = async (url, request) => {
+    requests.push(JSON.parse(request.body));
+    const reply = replies.shift();
+    const status = reply && reply.status ? reply.status : 200;
+    return { ok: status < 400, status, text: async () => JSON.stringify(reply && reply.status ? reply.body || {} : reply) };
+  };
+  const capture = (line) => logs.push(JSON.parse(line));
+
+  let response;
+  const context = vm.createContext({
+    ethers: sandboxEthers,
+    fetch,
+    FormData,
+    Blob,
+    setTimeout,
+    clearTimeout,
+    console: { log: capture, error: capture },
+    Lit: {
+      Actions: {
+        runOnce: async (options, operation) => operation(),
+        setResponse: ({ response: result }) => { response = result; },
+        decryptAndCombine: async ({ ciphertext }) => ciphertext,
+      },
+      Auth: { actionIpfsIds: ["QmTestAction"] },
+    },
+    secrets: {
+      mnemonic: { ciphertext: "test test test test test test test test test test test junk" },
+      anthropicApiKey: { ciphertext: "anthropic-key" },
+      openAiApiKey: { ciphertext: "openai-key" },
+      groqApiKey: { ciphertext: "groq-key" },
+    },
+    promptId: ethers.BigNumber.from(1),
+    promptCallbackId: ethers.BigNumber.from(2),
+    rpcUrl: "http://127.0.0.1:8545",
+    chainId: 31337,
+    oracleAddress: "0x00000000000000000000000000000000000000aa",
+    messagesRoles: messagesRoles || [["user", [["text", "Hello"]]]],
+    maxResponseGas: 1000000,
+    ...params,
+  });
+
+  await new vm.Script(ACTION_CODE, { filename: 'litAction.js' }).runInContext(context);
+  return { requests, submitted, response: JSON.parse(response), logs };
+}
+
+/**
+ * @param {number} length - Number of characters
+ * @param {string} [char] - Character to repeat
+ * @returns {string} Filler text of the given length
+ */
+const text = (length, char = "x") => char.repeat(length);
+
+describe("litAction request configuration (decodeConfig)", () => {
+  it("leaves every parameter to the provider when the prompt has no configuration", async () => {
+    const { requests } = await runAction({ replies: [anthropicReply("Hi")] });
+    const [body] = requests;
+    assert.strictEqual(body.model, "claude-3-5-sonnet-20240620");
+    assert.strictEqual(body.max_tokens, 1000);
+    for (const name of ["temperature", "top_p", "stop_sequences", "metadata", "tools"]) {
+      assert.ok(!(name in body), `${name} should not be sent`);
+    }
+  });
+
+  it("decodes scaled and JSON fields and drops values out of range", async () => {
+    const { requests } = await runAction({
+      promptType: "OpenAI",
+      config: {
+        model: "gpt-4o-mini",
+        maxTokens: 200,
+        temperature: 15,
+        topP: 50,
+        frequencyPenalty: -10,
+        presencePenalty: 25,
+        logitBias: '{"50256":-100}',
+        responseFormat: "{not json",
+        seed: 7,
+        stop: "END",
+        user: "user-1",
+      },
+      replies: [openAiReply("Hi")],
+    });
+    const [body] = requests;
+    assert.strictEqual(body.model, "gpt-4o-mini");
+    assert.strictEqual(body.max_tokens, 200);
+    assert.strictEqual(body.temperature, 1.5);
+    assert.strictEqual(body.top_p, 0.5);
+    assert.strictEqual(body.frequency_penalty, -1);
+    assert.ok(!("presence_penalty" in body), "an out of range penalty means not set");
+    assert.deepStrictEqual(body.logit_bias, { 50256: -100 });
+    assert.ok(!("response_format" in body), "invalid JSON means not set");
+    assert.strictEqual(body.seed, 7);
+    assert.strictEqual(body.stop, "END");
+    assert.strictEqual(body.user, "user-1");
+  });
+
+  it("caps the temperature at Anthropic's maximum", async () => {
+    const { requests } = await runAction({ config: { temperature: 15, topP: 90 }, replies: [anthropicReply("Hi")] });
+    assert.strictEqual(requests[0].temperature, 1);
+    assert.strictEqual(requests[0].top_p, 0.9);
+  });
+});
+
+describe("litAction tools (anthropicTools)", () => {
+  /** @type {string} OpenAI-format tools as the oracle stores them */
+  const TOOLS = JSON.stringify([
+    {
+      type: "function",
+      function: {
+        name: "get_weather",
+        description: "Current weather",
+        parameters: { type: "object", properties: { city: { type: "string" } } },
+      },
+    },
+    { type: "function", function: { name: "get_time" } },
+  ]);
+
+  it("translates OpenAI tools into Anthropic tools", async () => {
+    const { requests } = await runAction({ config: { tools: TOOLS }, replies: [anthropicReply("Hi")] });
+    assert.deepStrictEqual(requests[0].tools, [
+      {
+        name: "get_weather",
+        description: "Current weather",
+        input_schema: { type: "object", properties: { city: { type: "string" } } },
+      },
+      { name: "get_time", description: "", input_schema: { type: "object", properties: {} } },
+    ]);
+    assert.deepStrictEqual(requests[0].tool_choice, { type: "auto" });
+  });
+
+  it("translates the tool choice", async () => {
+    const required = await runAction({ config: { tools: TOOLS, toolChoice: "required" }, replies: [anthropicReply("Hi")] });
+    assert.deepStrictEqual(required.requests[0].tool_choice, { type: "any" });
+
+    const named = await runAction({
+      config: { tools: TOOLS, toolChoice: '{"type":"function","function":{"name":"get_time"}}' },
+      replies: [anthropicReply("Hi")],
+    });
+    assert.deepStrictEqual(named.requests[0].tool_choice, { type: "tool", name: "get_time" });
+
+    const none = await runAction({ config: { tools: TOOLS, toolChoice: "none" }, replies: [anthropicReply("Hi")] });
+    assert.ok(!("tools" in none.requests[0]));
+  });
+
+  it("submits a tool_use block as the function call", async () => {
+    const { submitted } = await runAction({
+      config: { tools: TOOLS },
+      replies: [anthropicReply([
+        { type: "text", text: "Let me check." },
+        { type: "tool_use", id: "toolu_1", name: "get_weather", input: { city: "Paris" } },
+      ])],
+    });
+    const [{ fields, errorMessage }] = submitted;
+    assert.strictEqual(errorMessage, "");
+    assert.strictEqual(fields.content, "Let me check.");
+    assert.strictEqual(fields.functionName, "get_weather");
+    assert.strictEqual(fields.functionArguments, '{"city":"Paris"}');
+    assert.strictEqual(fields.totalTokens, 46);
+  });
+});
+
+describe("litAction conversation (normalizeTurns)", () => {
+  it("lifts system messages, merges adjacent turns and opens with a user turn", async () => {
+    const { requests } = await runAction({
+      messagesRoles: [
+        ["system", [["text", "Be brief."]]],
+        ["assistant", [["text", "How can I help?"]]],
+        ["user", [["text", "First"]]],
+        ["user", [["text", "Second"]]],
+        ["tool", [["text", "42"]]],
+      ],
+      replies: [anthropicReply("Hi")],
+    });
+    const [body] = requests;
+    assert.strictEqual(body.system, "Be brief.");
+    assert.deepStrictEqual(body.messages, [
+      { role: "user", content: "(conversation start)" },
+      { role: "assistant", content: "How can I help?" },
+      { role: "user", content: "First\n\nSecond\n\nTool result:\n42" },
+    ]);
+  });
+
+  it("renders the system prompt as a system message for OpenAI", async () => {
+    const { requests } = await runAction({
+      promptType: "OpenAI",
+      messagesRoles: [["system", [["text", "Be brief."]]], ["user", [["text", "Hi"]]]],
+      replies: [openAiReply("Hello")],
+    });
+    assert.deepStrictEqual(requests[0].messages, [
+      { role: "system", content: "Be brief." },
+      { role: "user", content: "Hi" },
+    ]);
+  });
+});
+
+describe("litAction context window (fitContext)", () => {
+  /** @type {Array} A conversation of about 2300 estimated tokens, most of them in its first four turns */
+  const LONG_CONVERSATION = [
+    ["user", [["text", text(2000, "a")]]],
+    ["assistant", [["text", text(2000, "b")]]],
+    ["user", [["text", text(2000, "c")]]],
+    ["assistant", [["text", text(2000, "d")]]],
+    ["user", [["text", "latest"]]],
+  ];
+  /** @type {Object} A window with room for about 1700 prompt tokens next to a 100 token reply */
+  const SMALL_WINDOW = { contextWindows: { "claude-3-5-sonnet": 2000 } };
+
+  /**
+   * @param {Object} body - Anthropic request body
+   * @returns {Array<string>} First character of each turn's text
+   */
+  const turnInitials = (body) => body.messages.map((message) => message.content[0]);
+
+  it("sends a conversation within the budget as it is", async () => {
+    const { requests, response } = await runAction({ replies: [anthropicReply("Hi")] });
+    assert.strictEqual(requests[0].messages.length, 1);
+    assert.strictEqual(response.context.droppedTurns, 0);
+    assert.strictEqual(response.context.budgetTokens, 179000);
+    assert.strictEqual(response.context.sentTokens, response.context.estimatedTokens);
+  });
+
+  it("drops the oldest turns with drop_oldest", async () => {
+    const { requests, response } = await runAction({
+      config: { maxTokens: 100 },
+      messagesRoles: LONG_CONVERSATION,
+      replies: [anthropicReply("Hi")],
+      params: SMALL_WINDOW,
+    });
+    assert.deepStrictEqual(turnInitials(requests[0]), ["c", "d", "l"]);
+    assert.strictEqual(response.context.strategy, "drop_oldest");
+    assert.strictEqual(response.context.budgetTokens, 1700);
+    assert.strictEqual(response.context.droppedTurns, 2);
+    assert.ok(response.context.sentTokens <= 1700);
+    assert.ok(response.context.estimatedTokens > 1700);
+  });
+
+  it("keeps the first turn with keep_first", async () => {
+    const { requests, response } = await runAction({
+      config: { maxTokens: 100 },
+      messagesRoles: LONG_CONVERSATION,
+      replies: [anthropicReply("Hi")],
+      params: { ...SMALL_WINDOW, contextStrategy: "keep_first" },
+    });
+    assert.deepStrictEqual(turnInitials(requests[0]), ["a", "d", "l"]);
+    assert.strictEqual(response.context.droppedTurns, 2);
+  });
+
+  it("replaces dropped turns with a summary with summarize", async () => {
+    const { requests, response } = await runAction({
+      config: { maxTokens: 100 },
+      messagesRoles: LONG_CONVERSATION,
+      replies: [anthropicReply("They talked about letters."), anthropicReply("Hi")],
+      params: { ...SMALL_WINDOW, contextStrategy: "summarize" },
+    });
+    const [summaryRequest, request] = requests;
+    assert.strictEqual(summaryRequest.model, "claude-3-haiku-20240307");
+    assert.strictEqual(summaryRequest.max_tokens, 512);
+    assert.deepStrictEqual(request.messages.map((message) => message.role), ["user", "assistant", "user"]);
+    assert.ok(request.messages[0].content.includes("Summary of earlier messages:\nThey talked about letters."));
+    assert.deepStrictEqual(response.context.summary, {
+      model: "claude-3-5-sonnet-20240620",
+      promptTokens: 12,
+      completionTokens: 34,
+    });
+  });
+
+  it("reports CONTEXT_TOO_LONG when even the latest message does not fit", async () => {
+    const { requests, submitted } = await runAction({
+      config: { maxTokens: 100 },
+      messagesRoles: [["user", [["text", text(10000)]]]],
+      replies: [],
+      params: SMALL_WINDOW,
+    });
+    assert.strictEqual(requests.length, 0);
+    assert.match(submitted[0].errorMessage, /^CONTEXT_TOO_LONG: /);
+    assert.strictEqual(submitted[0].fields.content, "");
+  });
+
+  it("sends the conversation untrimmed when the model's window is not known", async () => {
+    const { requests, response } = await runAction({
+      promptType: "OpenAI",
+      config: { model: "my-finetune" },
+      messagesRoles: LONG_CONVERSATION,
+      replies: [openAiReply("Hi")],
+    });
+    assert.strictEqual(requests[0].messages.length, 5);
+    assert.strictEqual(response.context.budgetTokens, null);
+  });
+});
+
+describe("litAction response size (guardResponseSize)", () => {
+  /** @type {number} Gas a submission may use: room for about 500 characters with gasFor */
+  const MAX_GAS = 100000;
+  /**
+   * @param {Object} fields - Response fields
+   * @returns {ethers.BigNumber} Gas growing with the content length
+   */
+  const gasFor = (fields) => ethers.BigNumber.from(50000 + 100 * fields.content.length);
+
+  it("submits a response that fits unchanged", async () => {
+    const { submitted, response } = await runAction({
+      replies: [anthropicReply("Short")],
+      estimateGas: gasFor,
+      params: { maxResponseGas: MAX_GAS },
+    });
+    assert.strictEqual(submitted[0].fields.content, "Short");
+    assert.strictEqual(submitted[0].fields.object, "chat.completion");
+    assert.strictEqual(response.oversize, null);
+  });
+
+  it("truncates a response that is too large by default", async () => {
+    const { submitted, response } = await runAction({
+      replies: [anthropicReply(text(2000))],
+      estimateGas: gasFor,
+      params: { maxResponseGas: MAX_GAS },
+    });
+    const [{ fields }] = submitted;
+    assert.ok(fields.content.length <= 500);
+    assert.ok(fields.content.endsWith("[truncated: the full response was too large to store on-chain]"));
+    assert.strictEqual(fields.object, "chat.completion; oversize=truncated");
+    assert.deepStrictEqual(response.oversize.applied, ["truncated"]);
+    assert.strictEqual(response.oversize.fits, true);
+    assert.strictEqual(response.oversize.originalLength, 2000);
+    assert.strictEqual(response.oversize.submittedLength, fields.content.length);
+  });
+
+  it("asks the model for a shorter answer with shorten", async () => {
+    const { requests, submitted, response } = await runAction({
+      replies: [anthropicReply(text(2000)), anthropicReply("A shorter answer")],
+      estimateGas: gasFor,
+      params: { maxResponseGas: MAX_GAS, oversizePolicy: "shorten" },
+    });
+    assert.strictEqual(requests.length, 2);
+    assert.match(JSON.stringify(requests[1].messages), /Answer in at most \d+ characters\./);
+    assert.strictEqual(submitted[0].fields.content, "A shorter answer");
+    assert.strictEqual(submitted[0].fields.object, "chat.completion; oversize=shortened");
+    assert.deepStrictEqual(response.oversize.applied, ["shortened"]);
+    assert.deepStrictEqual(response.oversize.discardedUsage, { promptTokens: 12, completionTokens: 34 });
+  });
+
+  it("treats a revert as oversize only when the response without its content goes through", async () => {
+    const revert = () => {
+      const error = new Error("cannot estimate gas");
+      error.code = "UNPREDICTABLE_GAS_LIMIT";
+      throw error;
+    };
+    const bySize = await runAction({
+      replies: [anthropicReply(text(2000))],
+      estimateGas: (fields) => (fields.content.length > 500 ? revert() : gasFor(fields)),
+      params: { maxResponseGas: MAX_GAS },
+    });
+    assert.strictEqual(bySize.response.oversize.estimatedGas, null);
+    assert.deepStrictEqual(bySize.response.oversize.applied, ["truncated"]);
+
+    const always = await runAction({
+      replies: [anthropicReply(text(2000))],
+      estimateGas: revert,
+      params: { maxResponseGas: MAX_GAS },
+    });
+    assert.strictEqual(always.response.oversize, null);
+    assert.strictEqual(always.submitted[0].fields.content.length, 2000);
+  });
+});
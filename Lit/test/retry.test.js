@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Tests for the retry policy: error classification and withRetry
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { ERROR_CLASSES, RetryError, classifyError, isSessionError, backoffDelay, withRetry } = require('../retry');
+
+/**
+ * Builds an error with extra properties
+ * @param {string} message - Error message
+ * @param {Object} [fields] - Properties to set, e.g. code or status
+ * @returns {Error} The error
+ */
+function errorWith(message, fields = {}) {
+  return Object.assign(new Error(message), fields);
+}
+
+/**
+ * withRetry options that record the backoffs instead of waiting them out
+ * @param {Array<number>} delays - Receives every backoff
+ * @returns {Object} Options for withRetry
+ */
+function recordedSleep(delays) {
+  return { baseDelayMs: 10, maxDelayMs: 100, sleep: async (delayMs) => { delays.push(delayMs); } };
+}
+
+describe("classifyError", () => {
+  it("treats RPC, network and rate limit failures as transient", () => {
+    for (const error of [
+      errorWith("could not detect network", { code: "NETWORK_ERROR" }),
+      errorWith("bad response", { code: "SERVER_ERROR" }),
+      errorWith("timeout", { code: "TIMEOUT" }),
+      errorWith("connect ECONNREFUSED", { code: "ECONNREFUSED" }),
+      errorWith("Too Many Requests", { status: 429 }),
+      errorWith("Bad Gateway", { statusCode: 502 }),
+      new Error("Invalid sessionSigs"),
+      new Error("request timed out"),
+      new Error("not enough nodes responded"),
+    ]) {
+      assert.strictEqual(classifyError(error), ERROR_CLASSES.TRANSIENT, error.message);
+    }
+  });
+
+  it("treats other errors as permanent", () => {
+    assert.strictEqual(classifyError(errorWith("Bad Request", { status: 400 })), ERROR_CLASSES.PERMANENT);
+    assert.strictEqual(classifyError(new TypeError("x is not a function")), ERROR_CLASSES.PERMANENT);
+    assert.strictEqual(classifyError(null), ERROR_CLASSES.PERMANENT);
+  });
+
+  it("keeps an explicit errorClass", () => {
+    assert.strictEqual(classifyError(errorWith("timed out", { errorClass: ERROR_CLASSES.PERMANENT })), ERROR_CLASSES.PERMANENT);
+    assert.strictEqual(classifyError(errorWith("no response", { errorClass: ERROR_CLASSES.TRANSIENT })), ERROR_CLASSES.TRANSIENT);
+  });
+
+  it("looks at the cause of a wrapped error", () => {
+    const wrapped = errorWith("execution failed", { cause: errorWith("reset", { code: "ECONNRESET" }) });
+    assert.strictEqual(classifyError(wrapped), ERROR_CLASSES.TRANSIENT);
+  });
+
+  it("treats a reverted view call as permanent, even when the node answered with a 5xx", () => {
+    const iface = new ethers.utils.Interface(["function promptType(uint256) view returns (string)"]);
+    let revert;
+    try {
+      iface.decodeFunctionResult("promptType", "0x");
+    } catch (error) {
+      revert = error;
+    }
+    assert.strictEqual(revert.code, "CALL_EXCEPTION");
+    assert.strictEqual(classifyError(revert), ERROR_CLASSES.PERMANENT);
+
+    const wrapped = errorWith(`missing revert data in call exception (data="0x", error={"code":"SERVER_ERROR","status":500})`, {
+      code: "CALL_EXCEPTION",
+      data: "0x",
+    });
+    assert.strictEqual(classifyError(wrapped), ERROR_CLASSES.PERMANENT);
+  });
+});
+
+describe("isSessionError", () => {
+  it("recognizes rejected session signatures", () => {
+    assert.strictEqual(isSessionError(new Error("Invalid sessionSigs: expired")), true);
+    assert.strictEqual(isSessionError(new Error("boom")), false);
+    assert.strictEqual(isSessionError(undefined), false);
+  });
+});
+
+describe("backoffDelay", () => {
+  it("stays within the exponential ceiling and the maximum", () => {
+    for (let i = 0; i < 100; i++) {
+      assert.ok(backoffDelay(1, 100, 1000) <= 100);
+      assert.ok(backoffDelay(3, 100, 1000) <= 400);
+      assert.ok(backoffDelay(10, 100, 1000) <= 1000);
+      assert.ok(backoffDelay(2, 100, 1000) >= 0);
+    }
+  });
+});
+
+describe("withRetry", () => {
+  it("returns the first successful result and passes the attempt number", async () => {
+    const attempts = [];
+    const delays = [];
+    const result = await withRetry(async (attempt) => {
+      attempts.push(attempt);
+      if (attempt < 3) throw errorWith("bad response", { code: "SERVER_ERROR" });
+      return "done";
+    }, recordedSleep(delays));
+
+    assert.strictEqual(result, "done");
+    assert.deepStrictEqual(attempts, [1, 2, 3]);
+    assert.strictEqual(delays.length, 2);
+  });
+
+  it("gives up at once on a permanent error", async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw errorWith("Bad Request", { status: 400 });
+    }, recordedSleep([])), (error) => {
+      assert.ok(error instanceof RetryError);
+      assert.strictEqual(error.attempts, 1);
+      assert.strictEqual(error.errorClass, ERROR_CLASSES.PERMANENT);
+      assert.strictEqual(error.exhausted, false);
+      assert.strictEqual(error.cause.status, 400);
+      return true;
+    });
+    assert.strictEqual(calls, 1);
+  });
+
+  it("marks the error exhausted once the attempts run out on a transient error", async () => {
+    const retried = [];
+    await assert.rejects(withRetry(async () => {
+      throw errorWith("timeout", { code: "TIMEOUT" });
+    }, {
+      ...recordedSleep([]),
+      maxAttempts: 3,
+      onRetry: (error, attempt, delayMs) => { retried.push([attempt, typeof delayMs]); },
+    }), (error) => {
+      assert.strictEqual(error.attempts, 3);
+      assert.strictEqual(error.errorClass, ERROR_CLASSES.TRANSIENT);
+      assert.strictEqual(error.exhausted, true);
+      return true;
+    });
+    assert.deepStrictEqual(retried, [[1, "number"], [2, "number"]]);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Tests for WorkQueue: concurrency caps, round-robin fairness, cancellation and deferral
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { WorkQueue } = require('../workQueue');
+
+/**
+ * A job whose completion the test controls
+ * @param {string} key - Job key
+ * @param {string} sender - Sender the job is accounted to
+ * @param {string} [callback] - Callback contract of the job
+ * @param {Array<string>} [started] - Receives the key when the job starts
+ * @returns {{job: Object, finish: function(*=): void}} The job for enqueue and a function completing it
+ */
+function controlledJob(key, sender, callback = "callback", started = []) {
+  let finish;
+  const done = new Promise((resolve) => {
+    finish = resolve;
+  });
+  return {
+    job: { key, sender, callback, run: () => { started.push(key); return done; } },
+    finish: (value) => finish(value),
+  };
+}
+
+/**
+ * Lets pending promise callbacks run
+ * @returns {Promise<void>}
+ */
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe("WorkQueue", () => {
+  it("runs no more jobs at once than the concurrency allows", async () => {
+    const queue = new WorkQueue({ concurrency: 2, perSenderLimit: 10, perCallbackLimit: 10 });
+    const started = [];
+    const jobs = ["a", "b", "c"].map((key) => controlledJob(key, key, key, started));
+    jobs.forEach(({ job }) => queue.enqueue(job));
+    await flush();
+    assert.deepStrictEqual(started, ["a", "b"]);
+    assert.strictEqual(queue.stats().depth, 1);
+
+    jobs[0].finish();
+    await flush();
+    assert.deepStrictEqual(started, ["a", "b", "c"]);
+  });
+
+  it("caps the running jobs of a sender and of a callback contract", async () => {
+    const queue = new WorkQueue({ concurrency: 10, perSenderLimit: 1, perCallbackLimit: 2 });
+    const started = [];
+    queue.enqueue(controlledJob("s1", "alice", "x", started).job);
+    queue.enqueue(controlledJob("s2", "alice", "y", started).job);
+    queue.enqueue(controlledJob("c1", "bob", "z", started).job);
+    queue.enqueue(controlledJob("c2", "carol", "z", started).job);
+    queue.enqueue(controlledJob("c3", "dave", "z", started).job);
+    await flush();
+
+    assert.deepStrictEqual(started, ["s1", "c1", "c2"]);
+    assert.deepStrictEqual(queue.stats().waitingBySender, { alice: 1, dave: 1 });
+  });
+
+  it("serves senders round-robin so a burst does not starve others", async () => {
+    const queue = new WorkQueue({ concurrency: 1, perSenderLimit: 1, perCallbackLimit: 10 });
+    const started = [];
+    const jobs = new Map();
+    queue.pause();
+    for (const [key, sender] of [["a1", "a"], ["a2", "a"], ["a3", "a"], ["b1", "b"], ["c1", "c"]]) {
+      const controlled = controlledJob(key, sender, "callback", started);
+      jobs.set(key, controlled);
+      queue.enqueue(controlled.job);
+    }
+    queue.resume();
+
+    for (let i = 0; i < jobs.size; i++) {
+      await flush();
+      jobs.get(started[started.length - 1]).finish();
+    }
+    await flush();
+    assert.deepStrictEqual(started, ["a1", "b1", "c1", "a2", "a3"]);
+  });
+
+  it("returns the pending promise when a key is queued twice", async () => {
+    const queue = new WorkQueue({ concurrency: 1 });
+    const started = [];
+    const first = controlledJob("k", "s", "c", started);
+    const promise = queue.enqueue(first.job);
+    assert.strictEqual(queue.enqueue(controlledJob("k", "s", "c", started).job), promise);
+    first.finish("result");
+    assert.strictEqual(await promise, "result");
+    await flush();
+    assert.deepStrictEqual(started, ["k"]);
+    assert.strictEqual(queue.has("k"), false);
+  });
+
+  it("cancels waiting jobs without running them", async () => {
+    const queue = new WorkQueue({ concurrency: 1 });
+    const started = [];
+    const running = controlledJob("a", "s1", "c", started);
+    queue.enqueue(running.job);
+    const cancelled = queue.enqueue(controlledJob("b", "s2", "c", started).job);
+
+    assert.strictEqual(queue.cancel("a"), false);
+    assert.strictEqual(queue.cancel("b"), true);
+    assert.strictEqual(await cancelled, undefined);
+    running.finish();
+    await flush();
+    assert.deepStrictEqual(started, ["a"]);
+  });
+
+  it("does not start jobs while paused and waits for running ones in onIdle", async () => {
+    const queue = new WorkQueue({ concurrency: 2 });
+    const started = [];
+    const running = controlledJob("a", "s1", "c", started);
+    queue.enqueue(running.job);
+    queue.pause();
+    queue.enqueue(controlledJob("b", "s2", "c", started).job);
+    await flush();
+    assert.deepStrictEqual(started, ["a"]);
+
+    let idle = false;
+    const onIdle = queue.onIdle().then(() => { idle = true; });
+    await flush();
+    assert.strictEqual(idle, false);
+    running.finish();
+    await onIdle;
+    assert.deepStrictEqual(queue.clear().map((job) => job.key), ["b"]);
+  });
+
+  it("gives a deferred job's slots to other work and continues it once it is due", async () => {
+    const queue = new WorkQueue({ concurrency: 1, perSenderLimit: 1, perCallbackLimit: 1 });
+    const steps = [];
+    const retrying = queue.enqueue({
+      key: "a",
+      sender: "s",
+      callback: "c",
+      run: async () => {
+        steps.push("a: attempt 1");
+        await queue.defer("a", 30);
+        steps.push("a: attempt 2");
+      },
+    });
+    queue.enqueue({ key: "b", sender: "s", callback: "c", run: async () => { steps.push("b"); } });
+    await flush();
+
+    assert.deepStrictEqual(steps, ["a: attempt 1", "b"]);
+    assert.strictEqual(queue.has("a"), true);
+    assert.strictEqual(queue.cancel("a"), false, "a deferred job has started and cannot be cancelled");
+    assert.deepStrictEqual(queue.clear(), []);
+
+    await retrying;
+    await flush();
+    assert.deepStrictEqual(steps, ["a: attempt 1", "b", "a: attempt 2"]);
+    assert.strictEqual(queue.stats().running, 0);
+    assert.strictEqual(queue.stats().completed, 2);
+  });
+
+  it("defers like a plain delay outside a running job", async () => {
+    const queue = new WorkQueue();
+    const startedAt = Date.now();
+    await queue.defer("unknown", 20);
+    assert.ok(Date.now() - startedAt >= 15);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Registry of tool handlers used to answer FunctionAdded events.
+ * Handlers are keyed by the oracle's `functionTypes(functionId)` value, which is the
+ * tool name the model chose (e.g. "web_search", "code_interpreter").
+ * Requires a runtime with a global fetch (Node 18+).
+ */
+
+/** @type {number} Milliseconds a tool may take before it is aborted */
+const TOOL_TIMEOUT_MS = parseInt(process.env.TOOL_TIMEOUT_MS || "30000", 10);
+/** @type {number} Maximum length of a tool response submitted on-chain */
+const TOOL_MAX_RESPONSE_LENGTH = parseInt(process.env.TOOL_MAX_RESPONSE_LENGTH || "4000", 10);
+/** @type {string} Brave Search API endpoint used by web_search */
+const WEB_SEARCH_API_URL = process.env.WEB_SEARCH_API_URL || "https://api.search.brave.com/res/v1/web/search";
+/**
+ * Piston-compatible execution endpoint used by code_interpreter. There is no default:
+ * callers' code is sent there, so the operator has to choose the service, and the tool
+ * is not registered without one.
+ * @type {string|undefined}
+ */
+const CODE_INTERPRETER_URL = process.env.CODE_INTERPRETER_URL;
+
+/**
+ * @callback ToolHandler
+ * @param {Object} input - Parsed function input
+ * @returns {Promise<string>} The tool output to send back to the calling contract
+ */
+
+/** @type {Map<string, ToolHandler>} Registered tool handlers by function type */
+const toolHandlers = new Map();
+
+/**
+ * Registers a handler for a function type, replacing any existing one
+ * @param {string} functionType - Tool name as stored in `functionTypes(functionId)`
+ * @param {ToolHandler} handler - Function executing the tool
+ */
+function registerTool(functionType, handler) {
+  toolHandlers.set(functionType, handler);
+}
+
+/**
+ * @param {string} functionType - Tool name as stored in `functionTypes(functionId)`
+ * @returns {ToolHandler|undefined} The registered handler
+ */
+function getTool(functionType) {
+  return toolHandlers.get(functionType);
+}
+
+/**
+ * Parses a function input. Contracts pass the model's JSON arguments through,
+ * but plain strings are accepted as well.
+ * @param {string} functionInput - Raw `functionInputs(functionId)` value
+ * @returns {Object} Parsed arguments, or `{ input }` when the value is not a JSON object
+ */
+function parseToolInput(functionInput) {
+  try {
+    const parsed = JSON.parse(functionInput);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch (error) {
+    // Not JSON, fall through
+  }
+  return { input: functionInput };
+}
+
+/**
+ * Runs the handler registered for a function type
+ * @param {string} functionType - Tool name as stored in `functionTypes(functionId)`
+ * @param {string} functionInput - Raw `functionInputs(functionId)` value
+ * @returns {Promise<{response: string, error: string}>} Values for addFunctionResponse
+ */
+async function executeTool(functionType, functionInput) {
+  const handler = getTool(functionType);
+  if (!handler) {
+    return { response: "", error: `Unsupported function type: ${functionType}` };
+  }
+
+  try {
+    const output = await handler(parseToolInput(functionInput));
+    return { response: String(output).slice(0, TOOL_MAX_RESPONSE_LENGTH), error: "" };
+  } catch (error) {
+    return { response: "", error: `${functionType} failed: ${error.message || error}` };
+  }
+}
+
+/**
+ * Searches the web through the Brave Search API
+ * @type {ToolHandler}
+ */
+async function webSearch({ query, input }) {
+  const apiKey = process.env.WEB_SEARCH_API_KEY;
+  if (!apiKey) {
+    throw new Error("WEB_SEARCH_API_KEY is not set");
+  }
+  const searchQuery = query || input;
+  if (!searchQuery) {
+    throw new Error("Missing query");
+  }
+
+  const response = await fetch(`${WEB_SEARCH_API_URL}?q=${encodeURIComponent(searchQuery)}&count=5`, {
+    headers: {
+      'Accept': 'application/json',
+      'X-Subscription-Token': apiKey,
+    },
+    signal: AbortSignal.timeout(TOOL_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Search API returned ${response.status}`);
+  }
+
+  const body = await response.json();
+  const results = (body.web && body.web.results) || [];
+  if (results.length === 0) {
+    return "No results found.";
+  }
+  return results
+    .map((result, i) => `${i + 1}. ${result.title}\n${result.url}\n${result.description || ""}`)
+    .join("\n\n");
+}
+
+/**
+ * Runs a Python script on a Piston-compatible code execution service
+ * @type {ToolHandler}
+ */
+async function codeInterpreter({ code, input }) {
+  const script = code || input;
+  if (!script) {
+    throw new Error("Missing code");
+  }
+
+  const response = await fetch(CODE_INTERPRETER_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      language: "python",
+      version: "3.10.0",
+      files: [{ name: "main.py", content: script }],
+    }),
+    signal: AbortSignal.timeout(TOOL_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Code execution service returned ${response.status}`);
+  }
+
+  // Script errors are returned as output so the model can see and fix them
+  const { run } = await response.json();
+  return [run.stdout, run.stderr].filter(Boolean).join("\n") || "(no output)";
+}
+
+registerTool("web_search", webSearch);
+if (CODE_INTERPRETER_URL) {
+  registerTool("code_interpreter", codeInterpreter);
+}
+
+module.exports = {
+  registerTool,
+  getTool,
+  executeTool,
+  parseToolInput
+};
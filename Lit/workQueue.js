@@ -0,0 +1,376 @@
+/**
+ * @fileoverview Bounded-concurrency job queue sitting between event intake and execution.
+ * Jobs are grouped by sender and served round-robin, so a burst from one sender waits
+ * behind its own earlier jobs instead of delaying everybody else. A global limit caps
+ * how many jobs run at once, and per-sender and per-callback-contract limits cap how
+ * much of that capacity a single party can hold. A running job can defer itself, e.g. to
+ * wait out a retry backoff, which gives its slots back until it is due again.
+ */
+
+/**
+ * @typedef {Object} WorkQueueOptions
+ * @property {number} [concurrency] - Maximum number of jobs running at once
+ * @property {number} [perSenderLimit] - Maximum number of running jobs per sender
+ * @property {number} [perCallbackLimit] - Maximum number of running jobs per callback contract
+ * @property {function(Job, number): void} [onJobStarted] - Called with each job as it starts and the
+ *   milliseconds it waited
+ */
+
+/**
+ * @typedef {Object} Job
+ * @property {string} key - Unique key of the work item, e.g. its ledger key
+ * @property {string} sender - Party the job is accounted to for fairness
+ * @property {string} callback - Contract the job's result is delivered to
+ * @property {function(): Promise<*>} run - Does the work
+ * @property {*} payload - Data kept with the job, e.g. the event it executes
+ * @property {number} enqueuedAt - Time the job was queued, in milliseconds
+ * @property {number|null} startedAt - Time the job started running, in milliseconds
+ * @property {number} notBefore - Time before which the job is not started, in milliseconds
+ * @property {boolean} deferred - Whether the job waits for its deferral to run out
+ * @property {function(): void|null} resume - Continues a deferred job once it is started again
+ * @property {Promise<*>} promise - Settles with the outcome of `run`
+ * @property {function(*): void} resolve
+ * @property {function(*): void} reject
+ */
+
+/**
+ * Job queue with a global concurrency limit, per-sender and per-callback caps and
+ * round-robin fairness across senders
+ */
+class WorkQueue {
+  /**
+   * @param {WorkQueueOptions} [options]
+   */
+  constructor({ concurrency = 4, perSenderLimit = 2, perCallbackLimit = 2, onJobStarted = null } = {}) {
+    /** @type {number} */
+    this.concurrency = concurrency;
+    /** @type {number} */
+    this.perSenderLimit = perSenderLimit;
+    /** @type {number} */
+    this.perCallbackLimit = perCallbackLimit;
+    /** @type {Map<string, Array<Job>>} Waiting jobs per sender, oldest first; iteration order is the round-robin order */
+    this.waiting = new Map();
+    /** @type {Map<string, Job>} Jobs waiting or running, by key */
+    this.jobs = new Map();
+    /** @type {Map<string, number>} Running jobs per sender */
+    this.runningBySender = new Map();
+    /** @type {Map<string, number>} Running jobs per callback contract */
+    this.runningByCallback = new Map();
+    /** @type {number} Number of running jobs */
+    this.running = 0;
+    /** @type {number} Number of waiting jobs */
+    this.depth = 0;
+    /** @type {{started: number, totalMs: number, maxMs: number}} Time jobs spent waiting before they started */
+    this.waitTimes = { started: 0, totalMs: 0, maxMs: 0 };
+    /** @type {number} Number of jobs that have finished, successfully or not */
+    this.completed = 0;
+    /** @type {boolean} Whether starting new jobs is suspended */
+    this.paused = false;
+    /** @type {function(Job, number): void|null} */
+    this.onJobStarted = onJobStarted;
+    /** @type {Array<function(): void>} Callbacks waiting for the running jobs to finish */
+    this.idleWaiters = [];
+  }
+
+  /**
+   * Queues a job. Queuing a key that is already waiting or running returns the existing job's promise.
+   * @param {Object} job
+   * @param {string} job.key - Unique key of the work item
+   * @param {string} job.sender - Party the job is accounted to for fairness
+   * @param {string} job.callback - Contract the job's result is delivered to
+   * @param {function(): Promise<*>} job.run - Does the work
+   * @param {*} [job.payload] - Data kept with the job, e.g. the event it executes
+   * @returns {Promise<*>} Settles with the outcome of `run`
+   */
+  enqueue({ key, sender, callback, run, payload = null }) {
+    const existing = this.jobs.get(key);
+    if (existing) {
+      return existing.promise;
+    }
+
+    const job = { key, sender, callback, run, payload, enqueuedAt: Date.now(), startedAt: null, notBefore: 0, deferred: false, resume: null };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    this.jobs.set(key, job);
+    this.addWaiting(job);
+    this.pump();
+    return job.promise;
+  }
+
+  /**
+   * Gives a running job's slots back and queues it again once the delay has passed.
+   * The returned promise resolves when the job has been started again, so the job
+   * continues where it left off. Outside a running job this is a plain delay.
+   * @param {string} key - Key of the running job
+   * @param {number} delayMs - Milliseconds before the job may start again
+   * @returns {Promise<void>} Resolves once the job holds its slots again
+   */
+  defer(key, delayMs) {
+    const job = this.jobs.get(key);
+    if (!job || job.startedAt === null) {
+      return new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+
+    const resumed = new Promise((resolve) => {
+      job.resume = resolve;
+    });
+    this.release(job);
+    job.startedAt = null;
+    job.notBefore = Date.now() + delayMs;
+    job.enqueuedAt = job.notBefore;
+    job.deferred = true;
+    this.addWaiting(job);
+    setTimeout(() => {
+      job.deferred = false;
+      this.pump();
+    }, delayMs);
+    this.pump();
+    this.notifyIdle();
+    return resumed;
+  }
+
+  /**
+   * Removes a job that has not started yet. Its promise resolves without running it.
+   * Deferred jobs have started and are not removed.
+   * @param {string} key - Key of the work item
+   * @returns {boolean} Whether a waiting job was removed
+   */
+  cancel(key) {
+    const job = this.jobs.get(key);
+    const queue = job && this.waiting.get(job.sender);
+    const index = queue && !job.resume ? queue.indexOf(job) : -1;
+    if (index === -1) {
+      return false;
+    }
+
+    queue.splice(index, 1);
+    if (queue.length === 0) {
+      this.waiting.delete(job.sender);
+    }
+    this.depth--;
+    this.jobs.delete(key);
+    job.resolve(undefined);
+    return true;
+  }
+
+  /**
+   * Removes every job that has not started yet. Their promises resolve without running them.
+   * @returns {Array<Job>} The removed jobs, in the order they were queued
+   */
+  clear() {
+    const removed = [...this.jobs.values()].filter((job) => job.startedAt === null && !job.resume);
+    for (const job of removed) {
+      this.cancel(job.key);
+    }
+    return removed;
+  }
+
+  /**
+   * Waits until no job is running. Combine with pause() to drain the queue.
+   * @returns {Promise<void>} Resolves once the running jobs have finished
+   */
+  onIdle() {
+    if (this.running === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * @param {string} key - Key of the work item
+   * @returns {boolean} Whether the item is waiting or running
+   */
+  has(key) {
+    return this.jobs.has(key);
+  }
+
+  /**
+   * Stops starting new jobs. Jobs can still be queued, and running jobs finish.
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Starts waiting jobs again after pause()
+   */
+  resume() {
+    this.paused = false;
+    this.pump();
+  }
+
+  /**
+   * Lists the jobs waiting or running
+   * @returns {Array<{key: string, sender: string, callback: string, state: string, enqueuedAt: number,
+   *   startedAt: number|null, notBefore: number|null}>} Jobs in the order they were queued, with state
+   *   "waiting" or "running"; deferred jobs wait until `notBefore`
+   */
+  list() {
+    return [...this.jobs.values()].map(({ key, sender, callback, enqueuedAt, startedAt, notBefore }) => ({
+      key,
+      sender,
+      callback,
+      state: startedAt === null ? "waiting" : "running",
+      enqueuedAt,
+      startedAt,
+      notBefore: notBefore || null,
+    }));
+  }
+
+  /**
+   * Adds a job to the back of its sender's waiting list
+   * @param {Job} job - The job to add
+   */
+  addWaiting(job) {
+    if (!this.waiting.has(job.sender)) {
+      this.waiting.set(job.sender, []);
+    }
+    this.waiting.get(job.sender).push(job);
+    this.depth++;
+  }
+
+  /**
+   * Starts waiting jobs while capacity allows. Senders take turns: after a sender
+   * starts a job it moves to the back of the rotation.
+   */
+  pump() {
+    while (!this.paused && this.running < this.concurrency) {
+      const job = this.takeNext();
+      if (!job) {
+        return;
+      }
+      this.start(job);
+    }
+  }
+
+  /**
+   * Removes and returns the next job allowed to start, if any
+   * @returns {Job|null} The job, or null when every waiting job is held back by a cap or not due yet
+   */
+  takeNext() {
+    for (const [sender, queue] of this.waiting) {
+      if ((this.runningBySender.get(sender) || 0) >= this.perSenderLimit) {
+        continue;
+      }
+      const index = queue.findIndex((job) => !job.deferred && (this.runningByCallback.get(job.callback) || 0) < this.perCallbackLimit);
+      if (index === -1) {
+        continue;
+      }
+
+      const [job] = queue.splice(index, 1);
+      this.waiting.delete(sender);
+      if (queue.length > 0) {
+        this.waiting.set(sender, queue);
+      }
+      this.depth--;
+      return job;
+    }
+    return null;
+  }
+
+  /**
+   * Runs a job, or continues a deferred one, and frees its slots when it settles
+   * @param {Job} job - The job to run
+   */
+  start(job) {
+    job.startedAt = Date.now();
+    const waitedMs = job.startedAt - job.enqueuedAt;
+    this.waitTimes.started++;
+    this.waitTimes.totalMs += waitedMs;
+    this.waitTimes.maxMs = Math.max(this.waitTimes.maxMs, waitedMs);
+    if (this.onJobStarted) {
+      this.onJobStarted(job, waitedMs);
+    }
+
+    this.running++;
+    this.runningBySender.set(job.sender, (this.runningBySender.get(job.sender) || 0) + 1);
+    this.runningByCallback.set(job.callback, (this.runningByCallback.get(job.callback) || 0) + 1);
+
+    if (job.resume) {
+      const resume = job.resume;
+      job.resume = null;
+      resume();
+      return;
+    }
+
+    Promise.resolve()
+      .then(job.run)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        this.completed++;
+        this.jobs.delete(job.key);
+        this.release(job);
+        this.pump();
+        this.notifyIdle();
+      });
+  }
+
+  /**
+   * Frees a running job's slots
+   * @param {Job} job - The job giving its slots back
+   */
+  release(job) {
+    this.running--;
+    decrement(this.runningBySender, job.sender);
+    decrement(this.runningByCallback, job.callback);
+  }
+
+  /**
+   * Wakes the onIdle() callers once no job is running
+   */
+  notifyIdle() {
+    if (this.running === 0) {
+      for (const resolve of this.idleWaiters.splice(0)) {
+        resolve();
+      }
+    }
+  }
+
+  /**
+   * Reports the queue's depth and wait times
+   * @returns {{depth: number, running: number, completed: number, paused: boolean, oldestWaitMs: number,
+   *   averageWaitMs: number, maxWaitMs: number, waitingBySender: Object<string, number>}} Queue statistics
+   */
+  stats() {
+    const now = Date.now();
+    let oldestWaitMs = 0;
+    const waitingBySender = {};
+    for (const [sender, queue] of this.waiting) {
+      waitingBySender[sender] = queue.length;
+      for (const job of queue) {
+        oldestWaitMs = Math.max(oldestWaitMs, now - job.enqueuedAt);
+      }
+    }
+
+    return {
+      depth: this.depth,
+      running: this.running,
+      completed: this.completed,
+      paused: this.paused,
+      oldestWaitMs,
+      averageWaitMs: this.waitTimes.started ? Math.round(this.waitTimes.totalMs / this.waitTimes.started) : 0,
+      maxWaitMs: this.waitTimes.maxMs,
+      waitingBySender,
+    };
+  }
+}
+
+/**
+ * Decrements a counter, removing it when it reaches zero
+ * @param {Map<string, number>} counts - Counters by name
+ * @param {string} name - Counter to decrement
+ */
+function decrement(counts, name) {
+  const remaining = (counts.get(name) || 1) - 1;
+  if (remaining > 0) {
+    counts.set(name, remaining);
+  } else {
+    counts.delete(name);
+  }
+}
+
+module.exports = {
+  WorkQueue
+};
@@ -53,7 +53,8 @@ interface IOracle {
         uint64 created;
         string model;
         string systemFingerprint;
-        // kind of pointless since its always "chat.completion"?
+        // "chat.completion", followed by "; oversize=<steps>" when the content had to be shortened,
+        // offloaded and/or truncated to fit the gas limit, e.g. "chat.completion; oversize=truncated"
         string object;
 
         uint32 completionTokens;
@@ -93,7 +94,8 @@ interface IOracle {
         uint64 created;
         string model;
         string systemFingerprint;
-        // kind of pointless since its always "chat.completion"?
+        // "chat.completion", followed by "; oversize=<steps>" when the content had to be shortened,
+        // offloaded and/or truncated to fit the gas limit, e.g. "chat.completion; oversize=truncated"
         string object;
 
         uint32 completionTokens;
@@ -140,7 +142,8 @@ interface IOracle {
         uint64 created;
         string model;
         string systemFingerprint;
-        // kind of pointless since its always "chat.completion"?
+        // "chat.completion", followed by "; oversize=<steps>" when the content had to be shortened,
+        // offloaded and/or truncated to fit the gas limit, e.g. "chat.completion; oversize=truncated"
         string object;
 
         uint32 completionTokens;